@@ -1,4 +1,5 @@
 /*:
+ * @target MZ
  * @plugindesc A combined ammo system for dynamic damage, animation, and consumption.
  * @author Frederico Moeller & Gemini
  *
@@ -7,6 +8,305 @@
  * @text Ammo Type Variables
  * @desc Define which game variable holds the selected item ID for each ammo type (e.g., Arrow -> Var 10).
  *
+ * @param ammoCommandName
+ * @type string
+ * @text Ammo Command Name
+ * @desc The name of the battle command used to change ammo.
+ * @default Change Ammo
+ *
+ * @param ammoSwapCostsTurn
+ * @type boolean
+ * @text Ammo Swap Costs Turn
+ * @desc If true, changing ammo in battle uses up the actor's action for the turn.
+ * @on Costs Turn
+ * @off Free Action
+ * @default false
+ *
+ * @param autoReload
+ * @type boolean
+ * @text Auto Reload
+ * @desc If true, a weapon with an empty clip reloads from the inventory automatically before it fires.
+ * @default false
+ *
+ * @param enemyAmmoDrops
+ * @type boolean
+ * @text Enemy Ammo Drops
+ * @desc If true, ammo a defeated enemy did not fire is added to the battle's rewards.
+ * @default false
+ *
+ * @param ammoRecoveredMessage
+ * @type string
+ * @text Ammo Recovered Message
+ * @desc Victory message for recovered ammo. %1 is the item name, %2 the amount.
+ * @default Recovered %1 ×%2!
+ *
+ * @param lowAmmoThreshold
+ * @type number
+ * @min 0
+ * @text Low Ammo Threshold
+ * @desc The battle status ammo counter turns to the warning colour below this count. Weapons can override it.
+ * @default 5
+ *
+ * @param showOutOfAmmoPopup
+ * @type boolean
+ * @text Show Out of Ammo Popup
+ * @desc If true, a popup appears over an actor's status when it fires its last shot.
+ * @default true
+ *
+ * @param outOfAmmoPopupText
+ * @type string
+ * @text Out of Ammo Popup Text
+ * @desc The text of the out of ammo popup.
+ * @default Out of Ammo!
+ *
+ * @param showUnaffordableRecipes
+ * @type boolean
+ * @text Show Unaffordable Recipes
+ * @desc If true, the crafting scene also lists recipes the party lacks materials for, greyed out.
+ * @default false
+ *
+ * @param craftMaterialsLabel
+ * @type string
+ * @text Craft Materials Label
+ * @desc The heading shown above a recipe's materials in the crafting scene.
+ * @default Materials
+ *
+ * @param ammoMenuCommandName
+ * @type string
+ * @text Ammo Menu Command Name
+ * @desc The name of the main menu command that opens the ammo loadout scene.
+ * @default Ammo
+ *
+ * @param showAmmoMenuCommand
+ * @type boolean
+ * @text Show Ammo Menu Command
+ * @desc If true, the ammo loadout scene can be opened from the main menu.
+ * @default true
+ *
+ * @param multiShotMode
+ * @type select
+ * @option Simulate
+ * @value simulate
+ * @option Per Shot
+ * @value perShot
+ * @text MultiShot Mode
+ * @desc How MultiShot skills resolve their shots. Skills can override this with <MultiShotMode>.
+ * @default simulate
+ *
+ * @param ammoConsumeTiming
+ * @type select
+ * @option On Hit
+ * @value hit
+ * @option On Miss
+ * @value miss
+ * @option Always
+ * @value always
+ * @text Ammo Consume Timing
+ * @desc Whether a shot uses up ammo when it hits, when it misses, or always. Skills and ammo can override it.
+ * @default hit
+ *
+ * @param ammoConsumePer
+ * @type select
+ * @option Per Action
+ * @value action
+ * @option Per Target
+ * @value target
+ * @text Ammo Consume Per
+ * @desc Whether an action pays its ammo once, or once for every target it hits. Skills and ammo can override it.
+ * @default action
+ *
+ * @param autoSelectStrategy
+ * @type select
+ * @option Inventory Order
+ * @value inventory
+ * @option Keep Current Selection
+ * @value keep
+ * @option Highest ATK
+ * @value atk
+ * @option Cheapest
+ * @value cheapest
+ * @option Most Plentiful
+ * @value plentiful
+ * @option Best Element
+ * @value element
+ * @text Auto Select Strategy
+ * @desc How ammo is picked when an actor's selected ammo runs out. Actors can override this with <AmmoAutoSelect>.
+ * @default inventory
+ *
+ * @param weakenedSkillText
+ * @type string
+ * @text Weakened Skill Text
+ * @desc Shown in the skill list beside <StrictAmmo> skills while the actor has no ammo for them.
+ * @default Weak
+ *
+ * @param ammoFiredMessage
+ * @type string
+ * @text Ammo Fired Message
+ * @desc Battle log line when ammo is fired. %1 is the user, %2 the number of shots, %3 the ammo name. Empty to hide.
+ * @default %1 fires %2 %3!
+ *
+ * @param ammoOutMessage
+ * @type string
+ * @text Out of Ammo Message
+ * @desc Battle log line when a battler runs out of ammo or acts without any. %1 is the battler. Empty to hide.
+ * @default %1 is out of ammo!
+ *
+ * @param ammoSwitchedMessage
+ * @type string
+ * @text Ammo Switched Message
+ * @desc Battle log line when an actor's ammo is switched automatically. %1 is the actor, %2 the new ammo. Empty to hide.
+ * @default %1 switches to %2!
+ *
+ * @param ammoCapacity
+ * @type number
+ * @min 0
+ * @text Base Ammo Capacity
+ * @desc How many rounds of each ammo type the party can carry. Armors add to it with <AmmoCapacity>. 0 for no limit.
+ * @default 0
+ *
+ * @param ammoOverflow
+ * @type select
+ * @option Discard
+ * @value discard
+ * @option Send to Storage
+ * @value storage
+ * @option Refuse
+ * @value refuse
+ * @text Ammo Overflow
+ * @desc What happens to ammo gained beyond the carry capacity.
+ * @default discard
+ *
+ * @param ammoCapacityLabel
+ * @type string
+ * @text Ammo Capacity Label
+ * @desc Shown in the shop beside the carried and maximum rounds of an ammo type.
+ * @default Capacity
+ *
+ * @command SetAmmo
+ * @text Set Selected Ammo
+ * @desc Sets the selected ammo of an actor, or of the whole party.
+ *
+ * @arg actorId
+ * @type actor
+ * @text Actor
+ * @desc The actor to change. Leave at None to change every party member and the ammo type's default variable.
+ * @default 0
+ *
+ * @arg ammoType
+ * @type string
+ * @text Ammo Type
+ * @desc The ammo type to set. Leave empty to use the ammo type of the actor's weapon.
+ * @default
+ *
+ * @arg itemId
+ * @type item
+ * @text Ammo Item
+ * @desc The ammo item to select.
+ * @default 0
+ *
+ * @command AutoSelectAmmo
+ * @text Auto Select Ammo
+ * @desc Picks the best available ammo for an actor, or for the whole party.
+ *
+ * @arg actorId
+ * @type actor
+ * @text Actor
+ * @desc The actor to change. Leave at None to change every party member.
+ * @default 0
+ *
+ * @arg ammoType
+ * @type string
+ * @text Ammo Type
+ * @desc The ammo type to pick for. Leave empty to use the ammo type of the actor's weapon.
+ * @default
+ *
+ * @command GetAmmoCount
+ * @text Get Ammo Count
+ * @desc Stores how many items of an ammo type the party carries in a variable.
+ *
+ * @arg ammoType
+ * @type string
+ * @text Ammo Type
+ * @desc The ammo type to count.
+ * @default
+ *
+ * @arg variableId
+ * @type variable
+ * @text Variable
+ * @desc The variable that receives the count.
+ * @default 0
+ *
+ * @command CheckValidAmmo
+ * @text Check Valid Ammo
+ * @desc Turns a switch ON if the actor has ammo for its weapon, OFF otherwise or if the weapon uses no ammo.
+ *
+ * @arg actorId
+ * @type actor
+ * @text Actor
+ * @desc The actor to check.
+ * @default 1
+ *
+ * @arg switchId
+ * @type switch
+ * @text Switch
+ * @desc The switch that receives the result.
+ * @default 0
+ *
+ * @command SetAmmoConsumption
+ * @text Lock/Unlock Ammo Consumption
+ * @desc Stops or resumes the party spending ammo, e.g. for tutorial battles.
+ *
+ * @arg locked
+ * @type boolean
+ * @text Locked
+ * @desc If true, the party's shots no longer use up ammo until unlocked again.
+ * @on Lock
+ * @off Unlock
+ * @default true
+ *
+ * @command OpenAmmoCrafting
+ * @text Open Ammo Crafting
+ * @desc Opens the ammo crafting scene.
+ *
+ * @arg resultItems
+ * @type item[]
+ * @text Craftable Items
+ * @desc Only recipes for these items are offered. Leave empty to offer every recipe.
+ * @default []
+ *
+ * @command CraftAmmo
+ * @text Craft Ammo
+ * @desc Crafts an item from its <AmmoRecipe> without opening the crafting scene.
+ *
+ * @arg itemId
+ * @type item
+ * @text Item
+ * @desc The item to craft.
+ * @default 0
+ *
+ * @arg times
+ * @type number
+ * @min 1
+ * @text Times
+ * @desc How many times the recipe is crafted.
+ * @default 1
+ *
+ * @arg switchId
+ * @type switch
+ * @text Result Switch
+ * @desc Optional. Turned ON if the item was crafted, OFF if the party lacked the materials or the room.
+ * @default 0
+ *
+ * @command WithdrawAmmo
+ * @text Withdraw Stored Ammo
+ * @desc Moves ammo from the ammo storage back into the inventory, as far as the carry capacity allows.
+ *
+ * @arg itemId
+ * @type item
+ * @text Item
+ * @desc The ammo to withdraw. Leave at None to withdraw every stored item.
+ * @default 0
+ *
  * @help
  * ============================================================================
  * Introduction
@@ -19,7 +319,16 @@
  * 5. Modifying the attack's hit and critical rate based on weapon and ammo.
  * 6. Ammo consumption for basic attacks and specific skills.
  * 7. Skills that are less effective without ammo.
- * 8. Multi-shot skills that calculate a single powerful damage bonus.
+ * 8. Multi-shot skills that calculate a single powerful damage bonus, or
+ * resolve every shot on its own.
+ * 9. Changing the selected ammo in battle through an actor command.
+ * 10. Per-actor ammo loadouts, editable from the main menu.
+ * 11. Magazines for firearms, with reload skills.
+ * 12. Enemies that fire from a limited supply of ammo.
+ * 13. Recovering part of the spent ammo after a victory.
+ * 14. Plugin commands for managing ammo from events.
+ * 15. An ammo counter with a low ammo warning in the battle status.
+ * 16. Crafting ammo from component items.
  *
  * ============================================================================
  * Notetags
@@ -28,6 +337,8 @@
  * Weapon Notetags:
  * <Ammo: ammotype>
  * - Specifies the type of ammo the weapon uses (e.g., <Ammo: Arrow>).
+ * - A weapon can accept several types, listed in priority order and
+ * separated by commas (e.g., <Ammo: Bolt, Dart>).
  *
  * <DefaultWeaponId: id>
  * - Uses another weapon from the database as the base for this weapon's
@@ -40,13 +351,71 @@
  * <RangedCrit: value>
  * - Adds a percentage bonus to critical hit rate ONLY when ammo is used.
  *
+ * <NoAmmoSkill: skillId>
+ * - When the wielder has no ammo, its basic attack uses this skill instead,
+ * such as a melee "Bash" with the bow. Place this on the equipped weapon
+ * (for enemies, on their <EnemyAmmoWeapon>). If the wielder cannot use the
+ * skill (not enough MP or TP, sealed and so on), the plain attack is kept.
+ *
+ * <ClipSize: n>
+ * - The weapon fires from a clip holding up to n rounds instead of drawing
+ * straight from the inventory. Place this on the equipped weapon itself.
+ *
+ * <LowAmmoThreshold: n>
+ * - The battle status ammo counter shows the warning colour when fewer than
+ * n shots are left. Overrides the Low Ammo Threshold parameter.
+ *
+ * <ThrownWeapon>
+ * - The weapon is thrown as its own ammo, such as throwing knives or
+ * javelins. See Thrown Weapons below.
+ *
+ * Weapon and Item Notetags:
+ * <OnAmmoDepletedCommonEvent: id>
+ * - Runs the common event when a battler firing this ammo, or wielding this
+ * weapon, spends its last usable round.
+ *
+ * <OnAmmoSwitchedCommonEvent: id>
+ * - Runs the common event when an actor's ammo is switched automatically in
+ * battle to this ammo, or for this weapon.
+ *
  * Item (Ammo) Notetags:
  * <Ammo: ammotype>
- * - Marks the item as a specific type of ammo.
+ * - Marks the item as a specific type of ammo. Several types can be listed,
+ * separated by commas (e.g., <Ammo: Stone, Bullet>).
  *
  * <AmmoAtk: value>
  * - Adds a flat amount to the actor's ATK for the attack.
  *
+ * <AmmoParam: param;value>
+ * - Adds a flat amount to any parameter for the attack: mhp, mmp, atk, def,
+ * mat, mdf, agi or luk. You can have multiple of these tags. The bonus ends
+ * with the action that fired the ammo, so hits taken later do not see it.
+ * - Example: <AmmoParam: mat;20> for enchanted bolts.
+ *
+ * <AmmoDmgRate: percent>
+ * - Multiplies the final damage of the attack (e.g., 150 for +50%).
+ *
+ * <AmmoPierce: percent>
+ * - The attack ignores this percentage of the target's DEF.
+ *
+ * <AmmoVariance: percent>
+ * - Replaces the skill's damage variance for the attack.
+ *
+ * <AmmoTargetBonus: stateId;percent>
+ * - Adds 'percent' to the damage against targets affected by the state. You
+ * can have multiple of these tags; the bonuses of all matching states add up.
+ * - Example: <AmmoTargetBonus: 4;50> deals +50% damage to poisoned targets.
+ *
+ * <AmmoScope: all>
+ * <AmmoScope: random n>
+ * - A basic attack or <UseAmmo> skill aimed at enemies fired with this ammo
+ * hits every enemy, or n random enemies, instead of its normal targets.
+ *
+ * <AmmoSplash: percent>
+ * - Every hit also deals 'percent' of its HP damage to each other member of
+ * the target's troop or party. Only the action that fires the shell splashes.
+ * - Example: <AmmoSplash: 25> for explosive shells.
+ *
  * <AmmoAnimation: id>
  * - Overrides the weapon's animation for a basic attack.
  *
@@ -54,6 +423,24 @@
  * - Gives the attack a chance to inflict a state on the target. You can have
  * multiple of these tags on a single ammo item.
  *
+ * <AmmoEffectsFrom: skillId>
+ * - Every hit also applies the effects list of a database skill, such as HP
+ * recovery, added or removed states and buffs.
+ *
+ * <AmmoBuff: param;turns>
+ * <AmmoDebuff: param;turns>
+ * - Every hit adds a buff or debuff to the target. 'param' is mhp, mmp, atk,
+ * def, mat, mdf, agi, luk or a parameter ID; 'turns' defaults to 5. You can
+ * have multiple of these tags on a single ammo item.
+ * - Example: <AmmoDebuff: def;3> for armor-piercing rounds.
+ *
+ * <AmmoDrain: percent>
+ * - The user recovers 'percent' of the HP damage each hit deals.
+ *
+ * <AmmoEffectTarget: side>
+ * - Which targets the ammo's states and effects reach: opponent (default),
+ * ally or any. See Ammo Effects below.
+ *
  * <AmmoDmgType: id>
  * - Changes the element of the attack.
  *
@@ -63,19 +450,103 @@
  * <AmmoCrit: value>
  * - Adds a percentage bonus to the ammo's critical hit rate.
  *
+ * <AmmoRecover: percent>
+ * - Chance for each shot of this ammo to be recovered after a victory.
+ *
+ * <AmmoRecoverHit: percent>
+ * <AmmoRecoverMiss: percent>
+ * - Override <AmmoRecover> for shots that hit or missed their target.
+ * - Example: <AmmoRecoverHit: 30> <AmmoRecoverMiss: 80>
+ *
+ * <AmmoConsume: hit|miss|always>
+ * <AmmoConsumePer: action|target>
+ * - Override the consumption parameters for shots of this ammo. Tags on the
+ * skill take priority. See Ammo Consumption below.
+ *
+ * <AmmoNoAuto>
+ * - The ammo is never picked automatically, only when the player or an event
+ * selects it.
+ *
+ * <AmmoRecipe: itemId:qty, itemId:qty => count>
+ * - Lets the item be crafted from other items. Each ingredient is an item ID
+ * and a quantity; 'count' is how many of this item one craft makes. You can
+ * have multiple of these tags on a single item.
+ * - Example: <AmmoRecipe: 21:1, 22:1 => 10>
+ *
+ * Actor Notetags:
+ * <AmmoAutoSelect: strategy>
+ * - Overrides the Auto Select Strategy parameter for this actor. 'strategy'
+ * is one of inventory, keep, atk, cheapest, plentiful or element.
+ *
+ * Actor, Class, Weapon, Armor and State Notetags:
+ * <AmmoRecoverBonus: value>
+ * - Adds 'value' to the recovery chance of every recoverable ammo. The
+ * bonuses of all battle members are added together.
+ *
+ * <AmmoSaveChance: percent>
+ * - Each round the battler would use up has this chance to be kept instead.
+ * Values from all of the battler's traits are added together.
+ * - Example: <AmmoSaveChance: 25> on a "Quiver of Plenty" armor.
+ *
+ * Armor Notetags:
+ * <AmmoCapacity: type;+n>
+ * - Raises the party's carry capacity for an ammo type by 'n' while any
+ * party member wears the armor. Negative values lower it. You can have
+ * multiple of these tags on a single armor.
+ * - Example: <AmmoCapacity: Arrow;+20> on a quiver.
+ *
+ * Enemy Notetags:
+ * <Ammo: ammotype>
+ * - Specifies the type of ammo the enemy fires.
+ *
+ * <AmmoSupply: itemId;count>
+ * - Gives the enemy 'count' of ammo item 'itemId' for each battle. You can
+ * have multiple of these tags; they are fired in the order listed.
+ *
+ * <EnemyAmmoWeapon: weaponId>
+ * - The enemy uses the <RangedHit> and <RangedCrit> tags of this weapon. If
+ * the enemy has no <Ammo> tag, the weapon's <Ammo> tag is used instead.
+ *
  * Skill Notetags:
  * <UseAmmo>
  * - Add this to a skill's notebox to make it consume ammo.
  *
  * <StrictAmmo: value>
  * - If the actor has no ammo, the skill's success chance drops to this value.
+ * The skill can still be used, but is marked as weakened in the skill list.
+ *
+ * <RequireAmmo>
+ * <RequireAmmo: n>
+ * - The skill cannot be used without ammo for the user's weapon, or with
+ * fewer than n rounds ready. Without n, the skill's <AmmoCost> (1 by
+ * default) is required. Usually combined with <UseAmmo> or <MultiShot>.
  *
  * <MultiShot: count>
- * - Simulates firing up to 'count' shots. This affects the damage bonus and
- * the number of chances to apply status effects. Consumes all shots at once.
+ * - Simulates firing up to 'count' shots. This affects the ATK and
+ * <AmmoParam> bonuses and the number of chances to apply status effects.
+ * Damage rate, pierce, variance and target bonuses are not multiplied.
+ * Consumes all shots at once.
  * - This does NOT change the hit chance of the skill itself.
  * - Example: <MultiShot: 5>
  *
+ * <MultiShotMode: simulate>
+ * <MultiShotMode: perShot>
+ * - Overrides the MultiShot Mode parameter for this skill. 'simulate' folds
+ * every shot into one hit as described above. 'perShot' fires each shot as
+ * its own hit: every shot rolls its own hit and critical, its own AmmoState
+ * chances, shows its own damage popup and battle log line, and pays its own
+ * ammo following the consumption rules. The skill fires as many shots as
+ * there is ammo for, up to the MultiShot count.
+ *
+ * <AmmoCost: n>
+ * - Each shot of the skill uses up n rounds instead of one. A MultiShot
+ * skill pays n for every shot it fires.
+ *
+ * <AmmoConsume: hit|miss|always>
+ * <AmmoConsumePer: action|target>
+ * - Override the consumption parameters for this skill. Add them to the
+ * Attack skill (ID 1) to change how basic attacks consume ammo.
+ *
  * <NoAmmoAnimation: id>
  * - If a skill requires ammo but the player has none, this animation will
  * play instead of the skill's default animation.
@@ -86,6 +557,366 @@
  * - NoAmmoAnimation takes priority if ammo is zero.
  * - Example: <LowAmmoAnimation: 5;120>
  *
+ * <Reload>
+ * - Refills the user's clip from the inventory, using the actor's selected
+ * ammo. Rounds of a different ammo left in the clip go back to the inventory.
+ *
+ * ============================================================================
+ * Notetag Parsing
+ * ============================================================================
+ *
+ * All of the tags above are read once, when the database finishes loading,
+ * and battles only read the parsed values. The same pass checks the data
+ * and logs a warning to the console (F8 / F12) for:
+ * - <AmmoState> tags not written as <AmmoState: stateId;chance>, or naming a
+ * state that does not exist.
+ * - <LowAmmoAnimation> tags that cannot be read, or that can never play
+ * because the skill's <MultiShot> count is not above their quantity.
+ * - <DefaultWeaponId> values pointing at weapons that do not exist.
+ * - Ammo types with no entry in the Ammo Type Variables parameter.
+ *
+ * ============================================================================
+ * Multiple Ammo Types
+ * ============================================================================
+ *
+ * A weapon that accepts several ammo types can fire any item of those types.
+ * The selected ammo is stored under the first listed type that has an entry
+ * in the Ammo Type Variables parameter, and may be an item of any of the
+ * weapon's types. When the selection runs out, the inventory is searched one
+ * type at a time, in the order the weapon lists them.
+ *
+ * ============================================================================
+ * Battle Commands
+ * ============================================================================
+ *
+ * Actors whose weapon has an <Ammo> tag (with a matching entry in the
+ * Ammo Type Variables parameter) get an extra actor command, named by the
+ * Ammo Command Name parameter. It opens a window listing every ammo item in
+ * the party's inventory that matches the weapon's ammo type, with its count
+ * and its ATK, element, hit and critical bonuses.
+ *
+ * Choosing an entry makes it the actor's selected ammo for that ammo type.
+ * If the Ammo Swap Costs Turn parameter is on, the actor gives up its
+ * action for the turn; otherwise the actor can pick another command right
+ * away.
+ *
+ * ============================================================================
+ * Ammo Loadouts
+ * ============================================================================
+ *
+ * Each actor remembers its own selected ammo for every ammo type, and the
+ * selection is stored in the save file. The game variable mapped to an ammo
+ * type in the Ammo Type Variables parameter is used as the default for any
+ * actor that has not picked ammo of that type yet.
+ *
+ * When the main menu command is enabled, players can pick an actor and set
+ * its ammo outside of battle. Page Up / Page Down switch between actors.
+ *
+ * ============================================================================
+ * Automatic Selection
+ * ============================================================================
+ *
+ * When an actor has no usable ammo selected, the Auto Select Strategy picks
+ * one from the inventory. Types listed first in the weapon's <Ammo> tag are
+ * still preferred; the strategy only chooses among the items of a type.
+ * - Inventory Order: the first matching item in the inventory.
+ * - Keep Current Selection: once ammo has been selected, it is never
+ * replaced automatically. The actor fires without ammo until the player
+ * selects more. Actors with nothing selected yet start in inventory order.
+ * - Highest ATK: the ammo with the highest ATK bonus.
+ * - Cheapest: the ammo with the lowest price.
+ * - Most Plentiful: the ammo the party carries the most of.
+ * - Best Element: the ammo whose <AmmoDmgType> the action's target is
+ * weakest to. Actions without a single chosen target compare the average
+ * over all enemies. Ammo without an element counts as neutral. Outside of
+ * battle it works like Inventory Order.
+ * Ammo tagged <AmmoNoAuto> is never chosen by any strategy, including the
+ * Auto Select Ammo plugin command.
+ *
+ * ============================================================================
+ * Magazines
+ * ============================================================================
+ *
+ * A weapon with <ClipSize> keeps its loaded rounds per actor, and the clip
+ * is stored in the save file, so it carries over between battles. Shots are
+ * taken from the clip, and MultiShot, LowAmmoAnimation and StrictAmmo look at
+ * the loaded rounds instead of the inventory. The selected ammo only decides
+ * what gets loaded on the next reload. The clip belongs to the equip slot:
+ * unequipping or throwing the weapon returns its loaded rounds to the
+ * inventory.
+ *
+ * An empty clip is refilled by a <Reload> skill, or automatically before the
+ * next shot when the Auto Reload parameter is on. The battle status ammo
+ * counter shows the loaded rounds and the clip size.
+ *
+ * ============================================================================
+ * Ammo Consumption
+ * ============================================================================
+ *
+ * How an action pays for its ammo is set by the Ammo Consume Timing and Ammo
+ * Consume Per parameters. A skill's <AmmoConsume>/<AmmoConsumePer> tags win
+ * over the fired ammo's tags, which win over the parameters.
+ *
+ * - Per Action: the action pays once, decided by its first target. With On
+ * Hit, an action whose first target dodges costs nothing.
+ * - Per Target: every target the action strikes is paid for separately, so
+ * a skill hitting all enemies uses ammo for each of them.
+ * - On Hit / On Miss / Always: which results use up ammo.
+ *
+ * The amount paid is <AmmoCost> (1 by default), times the number of shots
+ * for a simulated MultiShot skill. A per-shot MultiShot skill pays for each
+ * shot on its own, following the timing rule. With Per Action it pays for
+ * the shots at its first target only; with Per Target it pays for every
+ * shot at every target, and fires only as many shots in total as the ammo
+ * left can pay for. Each round to be paid then rolls the user's
+ * <AmmoSaveChance>; saved rounds stay in the inventory or clip and are not
+ * counted for recovery. An action never uses more ammo than there is left.
+ *
+ * ============================================================================
+ * Dual Wielding
+ * ============================================================================
+ *
+ * Every weapon slot with an <Ammo> tag works on its own: it fires its own
+ * ammo type, uses its own <DefaultWeaponId> battle copy, its own RangedHit
+ * and RangedCrit, its own clip and pays for its own ammo.
+ *
+ * A basic attack fires every ammo weapon that has something to fire. Their
+ * effects are added together for the whole attack, including the extra
+ * attacks from Attack Times+, just as RMMZ adds up both weapons' parameters:
+ * ATK, parameters, Hit and Crit bonuses are summed, Dmg rates multiply, the
+ * highest Pierce and Splash apply, all ammo states are rolled, and the
+ * element with the best rate against each target is used. Each weapon shows
+ * its own battle log line and attack animation. <NoAmmoSkill> is used only
+ * once no weapon has ammo left.
+ *
+ * Skills and per-shot MultiShot attacks fire the first ammo weapon only.
+ * The Ammo command and loadout list the ammo of all equipped weapons, and
+ * the ammo counter shows the first one.
+ *
+ * ============================================================================
+ * Thrown Weapons
+ * ============================================================================
+ *
+ * A <ThrownWeapon> needs no <Ammo> tag or ammo type variable. Basic attacks
+ * and ammo skills throw spare copies of the equipped weapon from the
+ * inventory. Once none are left, the equipped copies themselves are thrown
+ * and unequipped, and the actor fights bare-handed until it equips another.
+ *
+ * The ammo tags of items work on the thrown weapon's note as well, such as
+ * <AmmoAtk>, <AmmoState>, <AmmoDmgType>, <AmmoAnimation>, <AmmoRecover> and
+ * the consumption tags. They apply on top of the weapon's own parameters.
+ * Recovered copies are added to the inventory after the battle. The ammo
+ * counter and skill list count the spares plus every equipped copy.
+ *
+ * ============================================================================
+ * Ammo Scope and Splash
+ * ============================================================================
+ *
+ * <AmmoScope> replaces the targets of the action that fires the ammo. Each
+ * target is hit on its own, so ATK, element and state effects apply to all
+ * of them, and with Ammo Consume Per set to Per Target each one is paid for.
+ * It does nothing while the user is confused, or for skills aimed at allies.
+ *
+ * <AmmoSplash> damage is a share of the HP damage the hit dealt, after the
+ * target's element rate, guard and so on. It is not reduced again by the
+ * other battlers' defences, cannot miss, and does not inflict ammo states or
+ * use extra ammo. Each splashed battler shows its own popup and log line.
+ *
+ * ============================================================================
+ * Ammo Effects
+ * ============================================================================
+ *
+ * On every hit, the ammo's <AmmoState> rolls are made first, then its
+ * <AmmoEffectsFrom>, <AmmoBuff> and <AmmoDebuff> effects are applied the way
+ * the skill's own effects would be. They only reach targets on the side set
+ * by <AmmoEffectTarget>, so ammo fired at the enemy never heals it. For
+ * healing darts, give the ammo <AmmoEffectTarget: ally> and fire it with a
+ * <UseAmmo> skill aimed at allies. Effects that revive also reach fallen
+ * allies when the skill targets them.
+ *
+ * A simulated MultiShot skill applies the states and effects once for every
+ * shot fired, so three shots roll a state three times and stack a buff up
+ * to its limit. A per-shot skill applies them with each shot as it lands.
+ * <AmmoDrain> heals the user after the target's results are shown, based on
+ * the damage actually dealt, so it already follows the shot count.
+ *
+ * ============================================================================
+ * Skill Window
+ * ============================================================================
+ *
+ * Skills that fire ammo show the icon of the ammo that will be fired and
+ * the rounds they use next to their MP/TP cost, such as "×5" for a
+ * <MultiShot: 5> skill. The amount turns to the dead colour when there is
+ * no ammo for the skill. <StrictAmmo> skills without ammo show the Weakened
+ * Skill Text in their cost column instead.
+ *
+ * ============================================================================
+ * Battle Log
+ * ============================================================================
+ *
+ * Actions that fire ammo add a line to the battle log naming the ammo and
+ * the number of shots. The log also tells when a battler's last round is
+ * spent, when an ammo action starts without ammo, and when an actor's empty
+ * selection is replaced by the Auto Select Strategy during battle. Each line
+ * has its own parameter and is hidden when the parameter is left empty.
+ *
+ * ============================================================================
+ * Ammo Counter
+ * ============================================================================
+ *
+ * For every actor whose weapon uses a tracked ammo type, the battle status
+ * window shows the icon and count of the ammo that will be fired next, at
+ * the right end of the actor's name row. The count turns to the warning
+ * colour below the low ammo threshold and to the dead colour at zero. It is
+ * refreshed whenever ammo is spent. When an actor fires its last shot, an
+ * optional "Out of Ammo" popup rises over its status.
+ *
+ * ============================================================================
+ * Enemy Ammo
+ * ============================================================================
+ *
+ * Enemies with an <Ammo> tag follow the same rules as actors: their shots
+ * get the ammo's ATK, hit, critical, element, state and animation effects.
+ * They fire from the stock given by their <AmmoSupply> tags, which is
+ * refilled at the start of every battle and never touches the party's
+ * inventory. Once the stock runs dry, the enemy stops choosing <UseAmmo>
+ * skills and its basic attack falls back to plain stats. When the Enemy
+ * Ammo Drops parameter is on, the ammo defeated enemies did not fire is
+ * dropped as loot, listed once per item with its total (Arrow ×12).
+ *
+ * ============================================================================
+ * Ammo Recovery
+ * ============================================================================
+ *
+ * Every shot the party fires during a battle is remembered. On victory, each
+ * shot of an ammo with a recovery tag rolls its own chance to come back, and
+ * the recovered ammo is listed with the other rewards. Ammo without any
+ * <AmmoRecover> tag is never recovered, whatever the party's bonus. Nothing
+ * is recovered after escaping or losing.
+ *
+ * ============================================================================
+ * Ammo Crafting
+ * ============================================================================
+ *
+ * The crafting scene is opened with the Open Ammo Crafting plugin command,
+ * so shops or NPC events can offer it, optionally limited to a few items.
+ * It lists the recipes the party has the materials for, with the result's
+ * ATK, element, hit, critical and state bonuses and the materials needed.
+ * Each confirm crafts the recipe once.
+ *
+ * ============================================================================
+ * Carry Capacity
+ * ============================================================================
+ *
+ * With Base Ammo Capacity above 0, the party can carry at most that many
+ * rounds of each ammo type, plus the <AmmoCapacity> of the armors worn by
+ * all party members. All items of a type count towards it; rounds loaded in
+ * clips do not. An item with several ammo types must fit under each limit.
+ *
+ * Gaining ammo beyond the capacity, from events, drops, recovery or
+ * crafting, follows the Ammo Overflow parameter:
+ *
+ * - Discard: the party keeps what fits and the rest is lost.
+ * - Send to Storage: what does not fit is kept in the ammo storage until the
+ * Withdraw Stored Ammo plugin command brings it back.
+ * - Refuse: nothing is gained at all.
+ *
+ * Recipes that would overflow can only be crafted with Send to Storage. The
+ * shop never sells more than fits, and shows the carried rounds and the
+ * capacity of the item's ammo type below its possession. Taking off a
+ * quiver never removes ammo; the party just cannot gain more of that type
+ * until it is back under the limit. Rounds ejected from a clip are always
+ * returned.
+ *
+ * ============================================================================
+ * Script API
+ * ============================================================================
+ *
+ * Other plugins can react to ammo without patching this one:
+ *
+ *   AmmoSystem.on("consumed", event => { ... });
+ *   AmmoSystem.off("consumed", listener);
+ *
+ * Listeners run in the order they were added and receive one event object.
+ * Changing its writable fields changes what this plugin does next.
+ *
+ * "selected" - { actor, ammoType, item } before a selection is stored.
+ * actor is null for the ammo type's default variable. Writable: item.
+ * "applied" - { battler, action, item, slot, atk, hit, crit, elementId,
+ * states, itemEffects, consumeCount } after the ammo's effects are worked
+ * out for an action. slot is the equip slot of the weapon firing the ammo,
+ * and itemEffects a list of RMMZ effect objects. hit and crit are rates
+ * (0.1 = 10%). consumeCount is one payment: the whole action's rounds, or
+ * a single shot's for per-shot MultiShot skills, which pay it for every
+ * shot. Writable: every value but battler, action, item and slot.
+ * "consumed" - { battler, item, count, isHit, cancel } before rounds are
+ * taken from the inventory, clip or enemy stock. Writable: count, cancel.
+ * "depleted" - { battler, item, ammoType } after a battler spends its last
+ * usable round.
+ * "switched" - { actor, from, to } after an actor's empty selection is
+ * replaced automatically in battle.
+ * "overflow" - { item, amount, room, mode } when the party gains more of
+ * an item than fits under its carry capacity. Writable: mode.
+ *
+ * $gameParty.storedAmmoCount(item) returns the rounds of an item in the
+ * ammo storage, and $gameParty.withdrawStoredAmmo(item) moves as many back
+ * as fit.
+ *
+ * ============================================================================
+ * Effect Preview
+ * ============================================================================
+ *
+ * While choosing ammo, in battle or in the ammo loadout scene, a preview
+ * pane shows what a basic attack with the highlighted ammo would get: the
+ * shots fired, the rounds used, parameter, hit and critical bonuses (weapon
+ * included), element, damage rate, pierce, splash and state chances. In
+ * battle the pane also appears for skills that fire ammo, using the ammo the
+ * actor would fire. MultiShot numbers are the simulated bonuses described
+ * under <MultiShot>.
+ *
+ * The numbers come from AmmoSystem.computeAmmoEffects(actor, skill, ammoItem,
+ * ammoCount), which changes nothing and can be called by other plugins.
+ * ammoCount defaults to the rounds the actor has. Every random roll the
+ * plugin makes, <AmmoScope: random n> targets included, goes through
+ * AmmoSystem.random(); AmmoSystem.setRandomSeed(n) makes the rolls
+ * repeatable and AmmoSystem.setRandomSource(fn) replaces them (pass null to
+ * go back to Math.random).
+ *
+ * ============================================================================
+ * Plugin Commands
+ * ============================================================================
+ *
+ * Set Selected Ammo
+ * - Selects an ammo item for one actor. With no actor chosen, it is selected
+ * for every party member and stored in the ammo type's variable as well.
+ * Members whose weapons cannot fire the item are left unchanged.
+ *
+ * Auto Select Ammo
+ * - Replaces the selection with the ammo the actor's Auto Select Strategy
+ * picks, in inventory order for Keep Current Selection.
+ *
+ * Get Ammo Count
+ * - Stores the party's total number of items of an ammo type in a variable.
+ *
+ * Check Valid Ammo
+ * - Sets a switch to whether the actor can currently fire its weapon. The
+ * switch is OFF for an actor whose weapon uses no tracked ammo.
+ *
+ * Lock/Unlock Ammo Consumption
+ * - While locked, the party's shots cost no ammo and nothing is recorded for
+ * recovery. Clips still reload normally. The lock is kept in the save file.
+ *
+ * Open Ammo Crafting
+ * - Opens the crafting scene.
+ *
+ * Craft Ammo
+ * - Crafts an item straight away if the party has the materials and the
+ * room for it.
+ *
+ * Withdraw Stored Ammo
+ * - Moves one item, or every item, from the ammo storage back into the
+ * inventory, as far as the carry capacity allows.
+ *
  */
 
 /*~struct~AmmoVariable:
@@ -113,11 +944,48 @@ AmmoSystem.Plugin_Name = "AmmoSystemDev"; // This name must match your plugin's
             variableId: Number(parsed.variableId || 0)
         };
     });
+    AmmoSystem._ammoCommandName = String(parameters['ammoCommandName'] || 'Change Ammo');
+    AmmoSystem._ammoSwapCostsTurn = parameters['ammoSwapCostsTurn'] === 'true';
+    AmmoSystem._autoReload = parameters['autoReload'] === 'true';
+    AmmoSystem._enemyAmmoDrops = parameters['enemyAmmoDrops'] === 'true';
+    AmmoSystem._ammoRecoveredMessage = String(parameters['ammoRecoveredMessage'] || 'Recovered %1 ×%2!');
+    AmmoSystem._lowAmmoThreshold = Number(parameters['lowAmmoThreshold'] || 5);
+    AmmoSystem._showOutOfAmmoPopup = parameters['showOutOfAmmoPopup'] !== 'false';
+    AmmoSystem._outOfAmmoPopupText = String(parameters['outOfAmmoPopupText'] || 'Out of Ammo!');
+    AmmoSystem._showUnaffordableRecipes = parameters['showUnaffordableRecipes'] === 'true';
+    AmmoSystem._craftMaterialsLabel = String(parameters['craftMaterialsLabel'] || 'Materials');
+    AmmoSystem._ammoMenuCommandName = String(parameters['ammoMenuCommandName'] || 'Ammo');
+    AmmoSystem._showAmmoMenuCommand = parameters['showAmmoMenuCommand'] !== 'false';
+    AmmoSystem._multiShotMode = String(parameters['multiShotMode'] || 'simulate').toLowerCase();
+    AmmoSystem._ammoConsumeTiming = String(parameters['ammoConsumeTiming'] || 'hit').toLowerCase();
+    AmmoSystem._ammoConsumePer = String(parameters['ammoConsumePer'] || 'action').toLowerCase();
+    AmmoSystem._autoSelectStrategy = String(parameters['autoSelectStrategy'] || 'inventory').toLowerCase();
+    AmmoSystem._weakenedSkillText = String(parameters['weakenedSkillText'] || 'Weak');
+    AmmoSystem._ammoFiredMessage = String(parameters['ammoFiredMessage'] ?? '%1 fires %2 %3!');
+    AmmoSystem._ammoOutMessage = String(parameters['ammoOutMessage'] ?? '%1 is out of ammo!');
+    AmmoSystem._ammoSwitchedMessage = String(parameters['ammoSwitchedMessage'] ?? '%1 switches to %2!');
+    AmmoSystem._ammoCapacity = Number(parameters['ammoCapacity'] || 0);
+    AmmoSystem._ammoOverflow = String(parameters['ammoOverflow'] || 'discard').toLowerCase();
+    AmmoSystem._ammoCapacityLabel = String(parameters['ammoCapacityLabel'] || 'Capacity');
 
     // --- Utility Functions ---
 
+    // An ammo type value may list several types in priority order (e.g. "Bolt, Dart").
+    AmmoSystem.parseAmmoTypes = function(ammoType) {
+        if (!ammoType) return [];
+        return String(ammoType).split(',').map(type => type.trim()).filter(type => type);
+    };
+
+    // The first listed type with a variable mapping is the one the selection is stored under.
+    AmmoSystem.getSelectionAmmoType = function(ammoType) {
+        return this.parseAmmoTypes(ammoType).find(type => {
+            return this._ammoTypeVariables.some(e => e.ammoType === type && e.variableId > 0);
+        }) || null;
+    };
+
     AmmoSystem.getVariableIdForAmmoType = function(ammoType) {
-        const entry = this._ammoTypeVariables.find(e => e.ammoType === ammoType);
+        const selectionType = this.getSelectionAmmoType(ammoType);
+        const entry = this._ammoTypeVariables.find(e => e.ammoType === selectionType);
         return entry ? entry.variableId : null;
     };
 
@@ -147,6 +1015,87 @@ AmmoSystem.Plugin_Name = "AmmoSystemDev"; // This name must match your plugin's
         return states;
     };
 
+    AmmoSystem.AMMO_PARAM_NAMES = ["mhp", "mmp", "atk", "def", "mat", "mdf", "agi", "luk"];
+
+    // Returns [{ paramId, value }] from <AmmoParam: name;value> tags. Unknown names get paramId -1.
+    AmmoSystem.getNotetagParamBonuses = function(note) {
+        const regex = /<AmmoParam:\s*(\w+)\s*;\s*(-?\d+)\s*>/gi;
+        const bonuses = [];
+        let match;
+        while ((match = regex.exec(note)) !== null) {
+            const name = match[1].toLowerCase();
+            const paramId = /^\d+$/.test(name) ? Number(name) : this.AMMO_PARAM_NAMES.indexOf(name);
+            bonuses.push({ paramId: paramId >= 0 && paramId < 8 ? paramId : -1, name: match[1], value: Number(match[2]) });
+        }
+        return bonuses;
+    };
+
+    // <AmmoBuff: param;turns> and <AmmoDebuff: param;turns>, with the same parameter names as <AmmoParam>.
+    AmmoSystem.getNotetagBuffs = function(note, tagName) {
+        const regex = new RegExp(`<${tagName}:\\s*(\\w+)\\s*(?:;\\s*(\\d+)\\s*)?>`, 'gi');
+        const buffs = [];
+        let match;
+        while ((match = regex.exec(note)) !== null) {
+            const name = match[1].toLowerCase();
+            const paramId = /^\d+$/.test(name) ? Number(name) : this.AMMO_PARAM_NAMES.indexOf(name);
+            buffs.push({ paramId: paramId >= 0 && paramId < 8 ? paramId : -1, name: match[1], turns: Number(match[2] || 5) });
+        }
+        return buffs;
+    };
+
+    AmmoSystem.getNotetagTargetBonuses = function(note) {
+        const regex = /<AmmoTargetBonus:\s*(\d+)\s*;\s*(-?\d+)\s*>/gi;
+        const bonuses = [];
+        let match;
+        while ((match = regex.exec(note)) !== null) {
+            bonuses.push({ stateId: Number(match[1]), rate: Number(match[2]) / 100 });
+        }
+        return bonuses;
+    };
+
+    AmmoSystem.getNotetagAmmoCapacity = function(note) {
+        const regex = /<AmmoCapacity:\s*([^;>]+?)\s*;\s*([+-]?\d+)\s*>/gi;
+        const bonuses = [];
+        let match;
+        while ((match = regex.exec(note)) !== null) {
+            bonuses.push({ ammoType: match[1], value: Number(match[2]) });
+        }
+        return bonuses;
+    };
+
+    // Returns { type: "all" } or { type: "random", count } from <AmmoScope>, or null.
+    AmmoSystem.getNotetagScope = function(note) {
+        const value = this.getNotetagValue(note, "AmmoScope");
+        if (!value) return null;
+        if (/^all$/i.test(value)) return { type: "all" };
+        const match = value.match(/^random\s*(\d+)$/i);
+        return match && Number(match[1]) > 0 ? { type: "random", count: Number(match[1]) } : null;
+    };
+
+    // <RequireAmmo> gives 0 (use the skill's ammo cost), <RequireAmmo: n> gives n.
+    AmmoSystem.getNotetagRequireAmmo = function(note) {
+        const match = note.match(/<RequireAmmo(?::\s*(\d+))?\s*>/i);
+        if (!match) return null;
+        return match[1] ? Number(match[1]) : 0;
+    };
+
+    AmmoSystem.getNotetagAmmoSupply = function(note) {
+        const regex = /<AmmoSupply:\s*(\d+)\s*;\s*(\d+)\s*>/gi;
+        const supply = [];
+        let match;
+        while ((match = regex.exec(note || "")) !== null) {
+            const itemId = Number(match[1]);
+            const count = Number(match[2]);
+            const existing = supply.find(e => e.itemId === itemId);
+            if (existing) {
+                existing.count += count;
+            } else if ($dataItems[itemId]) {
+                supply.push({ itemId: itemId, count: count });
+            }
+        }
+        return supply;
+    };
+
     AmmoSystem.getNotetagLowAmmoAnimInfo = function(note) {
         const value = this.getNotetagValue(note, "LowAmmoAnimation");
         if (!value) return null;
@@ -161,416 +1110,2978 @@ AmmoSystem.Plugin_Name = "AmmoSystemDev"; // This name must match your plugin's
         return { quantity: quantity, animId: animId };
     };
 
-    AmmoSystem.findBestMatchingAmmoItem = function(requiredAmmoType) {
-        return $gameParty.items().find(item => {
-            if (item && DataManager.isItem(item)) {
-                return this.getNotetagValue(item.note, "Ammo") === requiredAmmoType;
-            }
-            return false;
-        });
-    };
+    // --- Event API ---
 
-    AmmoSystem.hasValidAmmo = function(actor, weaponAmmoType) {
-        const variableId = this.getVariableIdForAmmoType(weaponAmmoType);
-        if (!variableId) return true;
+    AmmoSystem._listeners = {};
 
-        let ammoId = $gameVariables.value(variableId);
-        let ammoItem = ammoId > 0 ? $dataItems[ammoId] : null;
+    AmmoSystem.on = function(eventName, listener) {
+        if (!this._listeners[eventName]) {
+            this._listeners[eventName] = [];
+        }
+        this._listeners[eventName].push(listener);
+    };
 
-        if (ammoItem && this.getNotetagValue(ammoItem.note, "Ammo") === weaponAmmoType && $gameParty.hasItem(ammoItem)) {
-            return true;
+    AmmoSystem.off = function(eventName, listener) {
+        const listeners = this._listeners[eventName];
+        if (listeners) {
+            this._listeners[eventName] = listeners.filter(entry => entry !== listener);
         }
-        return !!this.findBestMatchingAmmoItem(weaponAmmoType);
     };
 
-    AmmoSystem.ensureValidAmmoSelected = function(actor, weaponAmmoType) {
-        const variableId = this.getVariableIdForAmmoType(weaponAmmoType);
-        if (!variableId) return null;
+    // Returns the event object, so callers can read back what listeners changed.
+    AmmoSystem.emit = function(eventName, event) {
+        (this._listeners[eventName] || []).slice().forEach(listener => listener(event));
+        return event;
+    };
 
-        let ammoId = $gameVariables.value(variableId);
-        let ammoItem = ammoId > 0 ? $dataItems[ammoId] : null;
+    AmmoSystem.reserveAmmoCommonEvents = function(objects, key) {
+        objects.forEach(obj => {
+            const commonEventId = this.getAmmoMeta(obj)[key];
+            if (commonEventId && $dataCommonEvents[commonEventId]) {
+                $gameTemp.reserveCommonEvent(commonEventId);
+            }
+        });
+    };
 
-        if (ammoItem && this.getNotetagValue(ammoItem.note, "Ammo") === weaponAmmoType && $gameParty.hasItem(ammoItem)) {
-            return ammoItem;
-        }
+    AmmoSystem.ammoEventWeapon = function(battler) {
+        return battler.isActor() ? battler.ammoWeapon() : battler.ammoBaseWeapon();
+    };
 
-        const bestAmmo = this.findBestMatchingAmmoItem(weaponAmmoType);
-        $gameVariables.setValue(variableId, bestAmmo ? bestAmmo.id : 0);
-        return bestAmmo;
+    AmmoSystem.onAmmoDepleted = function(battler, ammoItem, ammoType) {
+        this.emit("depleted", { battler: battler, item: ammoItem, ammoType: ammoType });
+        this.reserveAmmoCommonEvents([this.ammoEventWeapon(battler), ammoItem], "onAmmoDepletedCommonEvent");
     };
 
+    AmmoSystem.onAmmoSwitched = function(actor, fromItem, toItem) {
+        // Only the ID is kept, since the actor is saved with the game.
+        actor._ammoSwitchedToId = toItem ? toItem.id : 0;
+        this.emit("switched", { actor: actor, from: fromItem, to: toItem });
+        this.reserveAmmoCommonEvents([this.ammoEventWeapon(actor), toItem], "onAmmoSwitchedCommonEvent");
+    };
 
-    // --- Game_Actor Modifications ---
+    // --- Random Numbers ---
 
-    const _Game_Actor_initMembers = Game_Actor.prototype.initMembers;
-    Game_Actor.prototype.initMembers = function() {
-        _Game_Actor_initMembers.apply(this, arguments);
-        this._battleWeapon = null;
-        this._originalWeaponData = null;
-        this._tempAmmoAtk = 0;
-        this._tempAmmoStateInfo = [];
-        this._tempAmmoElementId = null;
-        this._tempRangedHit = 0;
-        this._tempAmmoHit = 0;
-        this._tempRangedCrit = 0;
-        this._tempAmmoCrit = 0;
-        this._isApplyingTempAmmoParams = false;
-        this._ammoToConsumeCount = 0;
+    // Every roll the plugin makes goes through AmmoSystem.random(), so tests can replace or seed it.
+    AmmoSystem._randomSource = Math.random;
+
+    AmmoSystem.random = function() {
+        return this._randomSource();
     };
 
-    const _Game_Actor_paramPlus = Game_Actor.prototype.paramPlus;
-    Game_Actor.prototype.paramPlus = function(paramId) {
-        let value = _Game_Actor_paramPlus.apply(this, arguments);
-        if (this._isApplyingTempAmmoParams && paramId === 2) {
-            value += this._tempAmmoAtk;
-        }
-        return value;
+    AmmoSystem.setRandomSource = function(source) {
+        this._randomSource = source || Math.random;
     };
 
-    const _Game_Actor_xparam = Game_Actor.prototype.xparam;
-    Game_Actor.prototype.xparam = function(xparamId) {
-        let value = _Game_Actor_xparam.apply(this, arguments);
-        if (this._isApplyingTempAmmoParams) {
-            if (xparamId === 0) { // HIT
-                value += this._tempRangedHit + this._tempAmmoHit;
-            }
-            if (xparamId === 2) { // CRI
-                value += this._tempRangedCrit + this._tempAmmoCrit;
+    // Mulberry32: small, fast and good enough for game rolls.
+    AmmoSystem.setRandomSeed = function(seed) {
+        let state = seed >>> 0;
+        this.setRandomSource(() => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        });
+    };
+
+    // Game_Unit.randomTarget with the plugin's rolls: members with a higher TGR are picked more often.
+    AmmoSystem.randomTarget = function(unit) {
+        let tgrRand = this.random() * unit.tgrSum();
+        let target = null;
+        for (const member of unit.aliveMembers()) {
+            tgrRand -= member.tgr;
+            if (tgrRand <= 0 && !target) {
+                target = member;
             }
         }
-        return value;
+        return target;
     };
 
-    const _Game_Actor_weapons = Game_Actor.prototype.weapons;
-    Game_Actor.prototype.weapons = function() {
-        if ($gameParty.inBattle() && this._battleWeapon) {
-            const realWeapons = _Game_Actor_weapons.apply(this, arguments);
-            if (realWeapons.length > 0) {
-                return [this._battleWeapon].concat(realWeapons.slice(1));
+    // --- Notetag Cache ---
+
+    // Every ammo tag an object can carry, parsed once. Tags that are absent are null.
+    AmmoSystem.parseAmmoMeta = function(note) {
+        const ammoType = this.getNotetagValue(note, "Ammo");
+        return {
+            // Weapons, items and enemies
+            ammoType: ammoType,
+            ammoTypes: this.parseAmmoTypes(ammoType),
+            // Weapons
+            defaultWeaponId: this.getNotetagNumber(note, "DefaultWeaponId"),
+            rangedHit: this.getNotetagNumber(note, "RangedHit"),
+            rangedCrit: this.getNotetagNumber(note, "RangedCrit"),
+            clipSize: this.getNotetagNumber(note, "ClipSize"),
+            thrownWeapon: /<ThrownWeapon>/i.test(note),
+            onAmmoDepletedCommonEvent: this.getNotetagNumber(note, "OnAmmoDepletedCommonEvent"),
+            onAmmoSwitchedCommonEvent: this.getNotetagNumber(note, "OnAmmoSwitchedCommonEvent"),
+            noAmmoSkill: this.getNotetagNumber(note, "NoAmmoSkill"),
+            lowAmmoThreshold: this.getNotetagNumber(note, "LowAmmoThreshold"),
+            // Items
+            ammoAtk: this.getNotetagNumber(note, "AmmoAtk"),
+            ammoAnimation: this.getNotetagNumber(note, "AmmoAnimation"),
+            ammoParams: this.getNotetagParamBonuses(note),
+            ammoDmgRate: this.getNotetagNumber(note, "AmmoDmgRate"),
+            ammoPierce: this.getNotetagNumber(note, "AmmoPierce"),
+            ammoVariance: this.getNotetagNumber(note, "AmmoVariance"),
+            ammoTargetBonuses: this.getNotetagTargetBonuses(note),
+            ammoScope: this.getNotetagScope(note),
+            ammoSplash: this.getNotetagNumber(note, "AmmoSplash"),
+            ammoStates: this.getNotetagStateInfo(note),
+            ammoEffectsFrom: this.getNotetagNumber(note, "AmmoEffectsFrom"),
+            ammoBuffs: this.getNotetagBuffs(note, "AmmoBuff"),
+            ammoDebuffs: this.getNotetagBuffs(note, "AmmoDebuff"),
+            ammoDrain: this.getNotetagNumber(note, "AmmoDrain"),
+            ammoEffectTarget: (this.getNotetagValue(note, "AmmoEffectTarget") || "").toLowerCase() || null,
+            ammoDmgType: this.getNotetagNumber(note, "AmmoDmgType"),
+            ammoHitRate: this.getNotetagNumber(note, "AmmoHitRate"),
+            ammoCrit: this.getNotetagNumber(note, "AmmoCrit"),
+            ammoRecover: this.getNotetagNumber(note, "AmmoRecover"),
+            ammoRecoverHit: this.getNotetagNumber(note, "AmmoRecoverHit"),
+            ammoRecoverMiss: this.getNotetagNumber(note, "AmmoRecoverMiss"),
+            recipes: this.getNotetagRecipes(note),
+            ammoNoAuto: /<AmmoNoAuto>/i.test(note),
+            // Items and skills
+            ammoConsume: (this.getNotetagValue(note, "AmmoConsume") || "").toLowerCase() || null,
+            ammoConsumePer: (this.getNotetagValue(note, "AmmoConsumePer") || "").toLowerCase() || null,
+            // Skills
+            useAmmo: /<UseAmmo>/i.test(note),
+            strictAmmo: this.getNotetagNumber(note, "StrictAmmo"),
+            multiShot: this.getNotetagNumber(note, "MultiShot"),
+            multiShotMode: (this.getNotetagValue(note, "MultiShotMode") || "").toLowerCase() || null,
+            noAmmoAnimation: this.getNotetagNumber(note, "NoAmmoAnimation"),
+            lowAmmoAnimation: this.getNotetagLowAmmoAnimInfo(note),
+            reload: /<Reload>/i.test(note),
+            ammoCost: this.getNotetagNumber(note, "AmmoCost"),
+            requireAmmo: this.getNotetagRequireAmmo(note),
+            // Enemies
+            ammoSupply: this.getNotetagAmmoSupply(note),
+            enemyAmmoWeapon: this.getNotetagNumber(note, "EnemyAmmoWeapon"),
+            // Actors
+            ammoAutoSelect: (this.getNotetagValue(note, "AmmoAutoSelect") || "").toLowerCase() || null,
+            // Actors, classes, equipment and states
+            ammoRecoverBonus: this.getNotetagNumber(note, "AmmoRecoverBonus"),
+            ammoCapacity: this.getNotetagAmmoCapacity(note),
+            ammoSaveChance: this.getNotetagNumber(note, "AmmoSaveChance")
+        };
+    };
+
+    // Objects the database pass did not see (such as battle copies of weapons) are parsed on first use.
+    AmmoSystem.getAmmoMeta = function(obj) {
+        if (!obj) {
+            if (!this._emptyAmmoMeta) {
+                this._emptyAmmoMeta = this.parseAmmoMeta("");
             }
+            return this._emptyAmmoMeta;
         }
-        return _Game_Actor_weapons.apply(this, arguments);
+        if (!obj._ammoMeta) {
+            obj._ammoMeta = this.parseAmmoMeta(obj.note || "");
+        }
+        return obj._ammoMeta;
     };
 
-    Game_Actor.prototype.setupBattleWeapon = function() {
-        const weapon = _Game_Actor_weapons.apply(this, arguments)[0];
-        if (!weapon) {
-            this._battleWeapon = null;
-            this._originalWeaponData = null;
-            return;
-        }
-        const defaultId = AmmoSystem.getNotetagNumber(weapon.note, "DefaultWeaponId");
-        const baseWeapon = defaultId ? $dataWeapons[defaultId] : weapon;
+    AmmoSystem.databaseTables = function() {
+        return [
+            ["Actor", $dataActors], ["Class", $dataClasses], ["Skill", $dataSkills], ["Item", $dataItems],
+            ["Weapon", $dataWeapons], ["Armor", $dataArmors], ["Enemy", $dataEnemies], ["State", $dataStates]
+        ];
+    };
 
-        this._originalWeaponData = JSON.parse(JSON.stringify(baseWeapon));
-        this._battleWeapon = JSON.parse(JSON.stringify(baseWeapon));
+    AmmoSystem.parseDatabase = function() {
+        this.databaseTables().forEach(([, table]) => {
+            table.forEach(obj => {
+                if (obj) {
+                    obj._ammoMeta = this.parseAmmoMeta(obj.note || "");
+                }
+            });
+        });
     };
 
-    Game_Actor.prototype.applyAmmoEffects = function(ammoItem, action) {
-        if (!ammoItem) return;
+    AmmoSystem.validateDatabase = function() {
+        const warn = (kind, obj, message) => {
+            console.warn(`${this.Plugin_Name}: ${kind} ${obj.id} (${obj.name}) ${message}`);
+        };
+        const trackedTypes = new Set();
+        const untrackedItemTypes = new Map();
+
+        this.databaseTables().forEach(([kind, table]) => {
+            table.forEach(obj => {
+                if (!obj) return;
+                const note = obj.note || "";
+                const meta = this.getAmmoMeta(obj);
 
-        const baseWeaponForAction = this._battleWeapon;
-        let ammoToConsume = 1;
-        let baseAmmoAtk = AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoAtk") || 0;
-        const baseStates = AmmoSystem.getNotetagStateInfo(ammoItem.note);
-        let finalStates = [];
-        let finalAmmoHitBonus = (AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoHitRate") || 0) / 100;
-        let finalAmmoCritBonus = (AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoCrit") || 0) / 100;
+                (note.match(/<AmmoState:[^>]*>/gi) || []).forEach(tag => {
+                    if (!/<AmmoState:\s*\d+\s*;\s*\d+\s*>/i.test(tag)) {
+                        warn(kind, obj, `has a malformed tag ${tag}. Expected <AmmoState: stateId;chance>.`);
+                    }
+                });
+                meta.ammoStates.forEach(stateInfo => {
+                    if (!$dataStates[stateInfo.id]) {
+                        warn(kind, obj, `has <AmmoState> for state ${stateInfo.id}, which does not exist.`);
+                    }
+                });
 
-        // --- MultiShot Calculation ---
-        const multiShotCount = AmmoSystem.getNotetagNumber(action.item().note, "MultiShot");
-        if (multiShotCount > 0) {
-            const numInInventory = $gameParty.numItems(ammoItem);
-            const numShots = Math.min(multiShotCount, numInInventory);
-            
-            if (numShots > 0) {
-                // ATK Bonus Calculation
-                const skillSuccessRate = action.item().successRate / 100;
-                const baseHit = this.xparam(0);
-                const rangedHitBonus = (AmmoSystem.getNotetagNumber(baseWeaponForAction.note, "RangedHit") || 0) / 100;
-                const ammoHitBonusForSim = (AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoHitRate") || 0) / 100;
-                let singleShotHitChance = (baseHit + rangedHitBonus + ammoHitBonusForSim) * skillSuccessRate;
-                singleShotHitChance = Math.max(0.01, Math.min(0.95, singleShotHitChance));
-                const probOfAllMiss = Math.pow(1 - singleShotHitChance, numShots);
-                const probAtLeastOneHit = 1 - probOfAllMiss;
-                this._tempAmmoAtk = Math.round(numShots * baseAmmoAtk * probAtLeastOneHit);
-                
-                // State Application Calculation
-                if (baseStates.length > 0) {
-                    for (let i = 0; i < numShots; i++) {
-                        finalStates = finalStates.concat(baseStates);
+                meta.ammoParams.forEach(bonus => {
+                    if (bonus.paramId < 0) {
+                        warn(kind, obj, `has <AmmoParam> for unknown parameter "${bonus.name}".`);
                     }
+                });
+                meta.ammoTargetBonuses.forEach(bonus => {
+                    if (!$dataStates[bonus.stateId]) {
+                        warn(kind, obj, `has <AmmoTargetBonus> for state ${bonus.stateId}, which does not exist.`);
+                    }
+                });
+
+                if (meta.ammoEffectsFrom !== null && !$dataSkills[meta.ammoEffectsFrom]) {
+                    warn(kind, obj, `has <AmmoEffectsFrom: ${meta.ammoEffectsFrom}>, but that skill does not exist.`);
+                }
+                meta.ammoBuffs.concat(meta.ammoDebuffs).forEach(buff => {
+                    if (buff.paramId < 0) {
+                        warn(kind, obj, `has <AmmoBuff> or <AmmoDebuff> for unknown parameter "${buff.name}".`);
+                    }
+                });
+                if (meta.ammoEffectTarget && !["opponent", "ally", "any"].includes(meta.ammoEffectTarget)) {
+                    warn(kind, obj, `has an unknown <AmmoEffectTarget>. Expected opponent, ally or any.`);
                 }
 
-                // Hit Rate Bonus Calculation
-                const initialHitRate = AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoHitRate") || 0;
-                if (initialHitRate > 0) {
-                    let hitRateModifier = 0.75;
-                    const lowAmmoAnimInfo = AmmoSystem.getNotetagLowAmmoAnimInfo(action.item().note);
-                    if (lowAmmoAnimInfo && $gameParty.numItems(ammoItem) < lowAmmoAnimInfo.quantity) {
-                        hitRateModifier = 0.5;
+                ["onAmmoDepletedCommonEvent", "onAmmoSwitchedCommonEvent"].forEach(key => {
+                    if (meta[key] !== null && !$dataCommonEvents[meta[key]]) {
+                        warn(kind, obj, `names common event ${meta[key]}, which does not exist.`);
                     }
-                    const a = initialHitRate * hitRateModifier;
-                    if (a > 0) {
-                        const r = 0.5;
-                        const totalBonus = a * (1 - Math.pow(r, numShots)) / (1 - r);
-                        finalAmmoHitBonus = totalBonus / 100;
-                    } else {
-                        finalAmmoHitBonus = 0;
+                });
+
+                (note.match(/<AmmoCapacity:[^>]*>/gi) || []).forEach(tag => {
+                    if (!/<AmmoCapacity:\s*[^;>]+?\s*;\s*[+-]?\d+\s*>/i.test(tag)) {
+                        warn(kind, obj, `has a malformed tag ${tag}. Expected <AmmoCapacity: type;+n>.`);
                     }
+                });
+
+                if (/<AmmoScope:[^>]*>/i.test(note) && !meta.ammoScope) {
+                    warn(kind, obj, `has a malformed <AmmoScope> tag. Expected <AmmoScope: all> or <AmmoScope: random n>.`);
                 }
-                
-                // Critical Rate Bonus Calculation
-                const initialCritRate = AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoCrit") || 0;
-                if (initialCritRate > 0) {
-                    let critRateModifier = 0.5;
-                    const lowAmmoAnimInfo = AmmoSystem.getNotetagLowAmmoAnimInfo(action.item().note);
-                    if (lowAmmoAnimInfo && $gameParty.numItems(ammoItem) < lowAmmoAnimInfo.quantity) {
-                        critRateModifier = 0.33;
+
+                if (/<LowAmmoAnimation:[^>]*>/i.test(note)) {
+                    if (!meta.lowAmmoAnimation) {
+                        warn(kind, obj, `has a malformed <LowAmmoAnimation> tag. Expected <LowAmmoAnimation: quantity;animationId>.`);
+                    } else if (!(meta.multiShot > meta.lowAmmoAnimation.quantity)) {
+                        warn(kind, obj, `has <LowAmmoAnimation>, which only works with a <MultiShot> count above its quantity.`);
                     }
-                    const a = initialCritRate * critRateModifier;
-                    if (a > 0) {
-                        const r = 0.5;
-                        const totalBonus = a * (1 - Math.pow(r, numShots)) / (1 - r);
-                        finalAmmoCritBonus = totalBonus / 100;
+                }
+
+                if (meta.multiShotMode && !["simulate", "pershot"].includes(meta.multiShotMode)) {
+                    warn(kind, obj, `has an unknown <MultiShotMode>. Expected simulate or perShot.`);
+                }
+
+                if (meta.ammoConsume && !["hit", "miss", "always"].includes(meta.ammoConsume)) {
+                    warn(kind, obj, `has an unknown <AmmoConsume>. Expected hit, miss or always.`);
+                }
+                if (meta.ammoConsumePer && !["action", "target"].includes(meta.ammoConsumePer)) {
+                    warn(kind, obj, `has an unknown <AmmoConsumePer>. Expected action or target.`);
+                }
+
+                if (meta.ammoAutoSelect && !this.AUTO_SELECT_STRATEGIES.includes(meta.ammoAutoSelect)) {
+                    warn(kind, obj, `has an unknown <AmmoAutoSelect>. Expected one of ${this.AUTO_SELECT_STRATEGIES.join(", ")}.`);
+                }
+
+                if (kind === "Weapon") {
+                    if (meta.defaultWeaponId !== null && !$dataWeapons[meta.defaultWeaponId]) {
+                        warn(kind, obj, `has <DefaultWeaponId: ${meta.defaultWeaponId}>, but that weapon does not exist.`);
+                    }
+                    if (meta.noAmmoSkill !== null && !$dataSkills[meta.noAmmoSkill]) {
+                        warn(kind, obj, `has <NoAmmoSkill: ${meta.noAmmoSkill}>, but that skill does not exist.`);
+                    }
+                    if (meta.thrownWeapon && (meta.ammoType || meta.clipSize !== null)) {
+                        warn(kind, obj, `has <ThrownWeapon>, which throws the weapon itself. Its <Ammo> and <ClipSize> tags are ignored.`);
+                    }
+                    if (meta.ammoType && !this.getVariableIdForAmmoType(meta.ammoType)) {
+                        warn(kind, obj, `uses ammo "${meta.ammoType}", which has no entry in the Ammo Type Variables parameter. Its ammo will be ignored.`);
                     } else {
-                        finalAmmoCritBonus = 0;
+                        meta.ammoTypes.forEach(type => trackedTypes.add(type));
                     }
+                } else if (kind === "Enemy") {
+                    meta.ammoTypes.forEach(type => trackedTypes.add(type));
+                } else if (kind === "Item") {
+                    meta.ammoTypes.forEach(type => {
+                        if (!untrackedItemTypes.has(type)) {
+                            untrackedItemTypes.set(type, obj);
+                        }
+                    });
                 }
+            });
+        });
 
-                ammoToConsume = numShots;
+        untrackedItemTypes.forEach((item, type) => {
+            if (!trackedTypes.has(type) && !this.getVariableIdForAmmoType(type)) {
+                warn("Item", item, `uses ammo "${type}", which has no entry in the Ammo Type Variables parameter.`);
             }
-        } else {
-            this._tempAmmoAtk = baseAmmoAtk;
-            finalStates = baseStates;
-        }
-        
-        this._ammoToConsumeCount = ammoToConsume;
-        this._tempAmmoStateInfo = finalStates;
-        this._tempAmmoHit = finalAmmoHitBonus;
-        this._tempAmmoCrit = finalAmmoCritBonus;
-        
-        this._tempRangedHit = (AmmoSystem.getNotetagNumber(baseWeaponForAction.note, "RangedHit") || 0) / 100;
-        this._tempRangedCrit = (AmmoSystem.getNotetagNumber(baseWeaponForAction.note, "RangedCrit") || 0) / 100;
-        this._tempAmmoElementId = AmmoSystem.getNotetagNumber(ammoItem.note, "AmmoDmgType");
-        
-        this._isApplyingTempAmmoParams = true;
+        });
     };
 
-    Game_Actor.prototype.resetAmmoEffects = function() {
-        if (this._originalWeaponData) {
-             this._battleWeapon = JSON.parse(JSON.stringify(this._originalWeaponData));
+    const _DataManager_isDatabaseLoaded = DataManager.isDatabaseLoaded;
+    DataManager.isDatabaseLoaded = function() {
+        if (!_DataManager_isDatabaseLoaded.apply(this, arguments)) return false;
+        if (!AmmoSystem._databaseParsed) {
+            AmmoSystem._databaseParsed = true;
+            AmmoSystem.parseDatabase();
+            AmmoSystem.validateDatabase();
         }
-        
-        this._tempAmmoAtk = 0;
-        this._tempAmmoStateInfo = [];
-        this._tempAmmoElementId = null;
-        this._tempRangedHit = 0;
-        this._tempAmmoHit = 0;
-        this._tempRangedCrit = 0;
-        this._tempAmmoCrit = 0;
-        this._ammoToConsumeCount = 0;
-        this._isApplyingTempAmmoParams = false;
+        return true;
     };
 
+    // --- Ammo Selection ---
 
-    // --- BattleManager Hooks ---
+    AmmoSystem.AUTO_SELECT_STRATEGIES = ["inventory", "keep", "atk", "cheapest", "plentiful", "element"];
 
-    const _BattleManager_setup = BattleManager.setup;
-    BattleManager.setup = function(troopId, canEscape, canLose) {
-        _BattleManager_setup.apply(this, arguments);
-        $gameParty.members().forEach(actor => actor.setupBattleWeapon());
+    AmmoSystem.getAutoSelectStrategy = function(actor) {
+        const strategy = actor && actor.isActor() ? this.getAmmoMeta(actor.actor()).ammoAutoSelect : null;
+        return strategy || this._autoSelectStrategy;
     };
 
-    const _BattleManager_startAction = BattleManager.startAction;
-    BattleManager.startAction = function() {
-        _BattleManager_startAction.apply(this, arguments);
-
-        const subject = this._subject;
-        if (subject && subject.isActor()) {
-            const action = subject.currentAction();
-            const weapon = subject.weapons()[0];
-            if (action && weapon) {
-                const weaponAmmoType = AmmoSystem.getNotetagValue(weapon.note, "Ammo");
-                const actionNote = action.item().note || "";
-                const isAmmoAction = action.isAttack() || actionNote.includes('<UseAmmo>') || actionNote.includes('<StrictAmmo') || actionNote.includes('<MultiShot');
-
-                if (weaponAmmoType && isAmmoAction) {
-                    const ammoToUse = AmmoSystem.ensureValidAmmoSelected(subject, weaponAmmoType);
-                    subject.resetAmmoEffects();
-                    
-                    if (ammoToUse) {
-                        subject.applyAmmoEffects(ammoToUse, action);
-                        
-                        // --- UNIFIED ANIMATION LOGIC ---
-                        if (action.isAttack()) {
-                            const ammoAnimId = AmmoSystem.getNotetagNumber(ammoToUse.note, "AmmoAnimation");
-                            if (ammoAnimId && subject._battleWeapon) {
-                                subject._battleWeapon.animationId = ammoAnimId;
-                            }
-                        } else if (action.isSkill()) {
-                            let animationIdToUse = 0;
-                            const multiShotCount = AmmoSystem.getNotetagNumber(action.item().note, "MultiShot");
-                            const lowAmmoAnimInfo = AmmoSystem.getNotetagLowAmmoAnimInfo(action.item().note);
-                            
-                            if (multiShotCount > 0 && lowAmmoAnimInfo && lowAmmoAnimInfo.quantity < multiShotCount) {
-                                const currentAmmoCount = $gameParty.numItems(ammoToUse);
-                                if (currentAmmoCount < lowAmmoAnimInfo.quantity) {
-                                    animationIdToUse = lowAmmoAnimInfo.animId;
-                                }
-                            }
-                            
-                            if (animationIdToUse > 0) {
-                                action._overrideAnimationId = animationIdToUse;
-                            }
-                        }
+    // Higher is better. Ties go to the item found first in the inventory.
+    AmmoSystem.scoreAmmoItem = function(item, strategy, actor) {
+        switch (strategy) {
+            case "atk":
+                return this.getAmmoParamBonuses(item)[2];
+            case "cheapest":
+                return -item.price;
+            case "plentiful":
+                return $gameParty.numItems(item);
+            case "element": {
+                const enemies = this.getElementScoreTargets(actor);
+                const elementId = this.getAmmoMeta(item).ammoDmgType;
+                if (enemies.length === 0 || !(elementId > 0)) return 1;
+                return enemies.reduce((sum, enemy) => sum + enemy.elementRate(elementId), 0) / enemies.length;
+            }
+            default:
+                return 0;
+        }
+    };
 
-                    } else {
-                        // No ammo, only applies to skills
-                        if (action.isSkill()) {
-                            const noAmmoAnimId = AmmoSystem.getNotetagNumber(action.item().note, "NoAmmoAnimation");
-                            if (noAmmoAnimId) {
-                                action._overrideAnimationId = noAmmoAnimId;
-                            }
-                        }
-                    }
+    // The enemy the actor's action is aimed at, or every alive enemy when it has no single chosen target.
+    AmmoSystem.getElementScoreTargets = function(actor) {
+        if (!actor || !$gameParty.inBattle()) return [];
+        const opponents = actor.opponentsUnit();
+        const action = actor.currentAction();
+        if (action && action.isForOpponent() && action.isForOne() && !action.isForRandom() && action._targetIndex >= 0) {
+            return [opponents.smoothTarget(action._targetIndex)].filter(enemy => !!enemy);
+        }
+        return opponents.aliveMembers();
+    };
 
-                    // --- DEBUG LOG ---
-                    //console.log("--- AMMO SYSTEM ACTION START ---");
-                    //console.log("Action:", action.item().name);
-                    //console.log("Actor Base ATK:", subject.paramBase(2));
-                    //console.log("Ammo ATK Bonus:", subject._tempAmmoAtk);
-                    //console.log("Effective HIT:", (subject.xparam(0) * 100).toFixed(2) + "%");
-                    //console.log("Effective CRI:", (subject.xparam(2) * 100).toFixed(2) + "%");
-                    //let elementId = subject._tempAmmoElementId !== null ? subject._tempAmmoElementId : action.item().damage.elementId;
-                    //if (elementId < 0) {
-                    //    elementId = subject.attackElementId();
-                    //}
-                    //console.log("Attack Element:", $dataSystem.elements[elementId]);
-                    //if (actionNote.includes('<MultiShot')) {
-                    //   console.log("Ammo to Consume:", subject._ammoToConsumeCount);
-                    //}
-                    //console.log("---------------------------------");
-                }
+    AmmoSystem.findBestMatchingAmmoItem = function(requiredAmmoType, actor) {
+        const strategy = this.getAutoSelectStrategy(actor);
+        const items = $gameParty.items().filter(item => !this.getAmmoMeta(item).ammoNoAuto);
+        for (const type of this.parseAmmoTypes(requiredAmmoType)) {
+            const candidates = items.filter(item => this.isAmmoOfType(item, type));
+            if (candidates.length > 0) {
+                return candidates.reduce((best, item) => {
+                    return this.scoreAmmoItem(item, strategy, actor) > this.scoreAmmoItem(best, strategy, actor) ? item : best;
+                });
             }
         }
+        return undefined;
     };
 
-    const _BattleManager_endAction = BattleManager.endAction;
-    BattleManager.endAction = function() {
-        const action = this._action;
-        if (action && action._overrideAnimationId) {
-            action._overrideAnimationId = 0; // Reset it
+    // Under "keep", ammo that was selected and ran out is not replaced automatically.
+    AmmoSystem.canAutoReplace = function(actor, ammoId) {
+        return !(ammoId > 0 && this.getAutoSelectStrategy(actor) === "keep");
+    };
+
+    AmmoSystem.getSelectedAmmoId = function(actor, ammoType) {
+        const variableId = this.getVariableIdForAmmoType(ammoType);
+        if (!variableId) return 0;
+        const selectionType = this.getSelectionAmmoType(ammoType);
+        const actorAmmoId = actor && actor.isActor() ? actor.selectedAmmoId(selectionType) : 0;
+        return actorAmmoId > 0 ? actorAmmoId : $gameVariables.value(variableId);
+    };
+
+    AmmoSystem.setSelectedAmmo = function(actor, ammoType, ammoItem) {
+        const variableId = this.getVariableIdForAmmoType(ammoType);
+        if (!variableId) return;
+        const isActor = !!actor && actor.isActor();
+        ammoItem = this.emit("selected", { actor: isActor ? actor : null, ammoType: ammoType, item: ammoItem || null }).item;
+        if (isActor) {
+            actor.setSelectedAmmoId(this.getSelectionAmmoType(ammoType), ammoItem ? ammoItem.id : 0);
+        } else {
+            $gameVariables.setValue(variableId, ammoItem ? ammoItem.id : 0);
         }
-        
-        _BattleManager_endAction.apply(this, arguments);
-        const subject = this._subject;
-        if (subject && subject.isActor() && subject._isApplyingTempAmmoParams) {
-            subject.resetAmmoEffects();
+    };
+
+    AmmoSystem.hasValidAmmo = function(actor, weaponAmmoType) {
+        if (actor && actor.isEnemy()) {
+            return !!actor.stockedAmmoItem(weaponAmmoType);
+        }
+        if (this.getThrownWeapon(actor)) return true;
+        const variableId = this.getVariableIdForAmmoType(weaponAmmoType);
+        if (!variableId) return true;
+
+        if (this.usesClip(actor)) {
+            if (actor.loadedAmmoCount() > 0) return true;
+            if (!this._autoReload) return false;
+        }
+
+        let ammoId = this.getSelectedAmmoId(actor, weaponAmmoType);
+        let ammoItem = ammoId > 0 ? $dataItems[ammoId] : null;
+
+        if (this.isAmmoOfType(ammoItem, weaponAmmoType) && $gameParty.hasItem(ammoItem)) {
+            return true;
         }
+        if (!this.canAutoReplace(actor, ammoId)) return false;
+        return !!this.findBestMatchingAmmoItem(weaponAmmoType, actor);
     };
 
-    // --- Game_Action Hooks ---
+    AmmoSystem.ensureValidAmmoSelected = function(actor, weaponAmmoType) {
+        if (actor && actor.isEnemy()) {
+            return actor.stockedAmmoItem(weaponAmmoType);
+        }
+        const variableId = this.getVariableIdForAmmoType(weaponAmmoType);
+        if (!variableId) return null;
 
-    const _Game_Action_animationId = Game_Action.prototype.animationId;
-    Game_Action.prototype.animationId = function() {
-        if (this._overrideAnimationId > 0) {
-            return this._overrideAnimationId;
+        let ammoId = this.getSelectedAmmoId(actor, weaponAmmoType);
+        let ammoItem = ammoId > 0 ? $dataItems[ammoId] : null;
+
+        if (this.isAmmoOfType(ammoItem, weaponAmmoType) && $gameParty.hasItem(ammoItem)) {
+            return ammoItem;
         }
-        return _Game_Action_animationId.apply(this, arguments);
+        if (!this.canAutoReplace(actor, ammoId)) return null;
+
+        const bestAmmo = this.findBestMatchingAmmoItem(weaponAmmoType, actor);
+        this.setSelectedAmmo(actor, weaponAmmoType, bestAmmo);
+        if (bestAmmo && ammoId > 0 && bestAmmo.id !== ammoId && actor && actor.isActor() && $gameParty.inBattle()) {
+            this.onAmmoSwitched(actor, ammoItem, bestAmmo);
+        }
+        return bestAmmo;
     };
 
-    const _Game_Action_numRepeats = Game_Action.prototype.numRepeats;
-    Game_Action.prototype.numRepeats = function() {
-        const multiShotCount = AmmoSystem.getNotetagNumber(this.item().note, "MultiShot");
-        if (multiShotCount > 0) {
-            return 1;
+    AmmoSystem.getWeaponAmmoType = function(battler) {
+        if (battler && battler.isEnemy()) {
+            return battler.enemyAmmoType();
         }
-        return _Game_Action_numRepeats.apply(this, arguments);
+        const weapon = battler ? battler.ammoSlotWeapon() : null;
+        return this.getAmmoMeta(weapon).ammoType;
     };
 
-    const _Game_Action_itemHit = Game_Action.prototype.itemHit;
-    Game_Action.prototype.itemHit = function(target) {
-        const subject = this.subject();
-        if (subject && subject.isActor() && this.isSkill()) {
-            const strictAmmoValue = AmmoSystem.getNotetagNumber(this.item().note, "StrictAmmo");
-            if (strictAmmoValue !== null) {
-                const weapon = subject.weapons()[0];
-                if (weapon) {
-                    const weaponAmmoType = AmmoSystem.getNotetagValue(weapon.note, "Ammo");
-                    if (weaponAmmoType && !AmmoSystem.hasValidAmmo(subject, weaponAmmoType)) {
-                        return strictAmmoValue / 100;
-                    }
-                }
-            }
+    // --- Weapon Slots ---
+
+    // The weapon slots (indexes into equips()) that have an <Ammo> tag or are thrown. Enemies have a single slot.
+    AmmoSystem.getAmmoSlots = function(battler) {
+        if (!battler) return [];
+        if (battler.isEnemy()) {
+            return battler.enemyAmmoType() ? [0] : [];
         }
-        return _Game_Action_itemHit.apply(this, arguments);
+        return battler.equips().reduce((slots, item, slot) => {
+            const weapon = battler.ammoSlotWeapon(slot);
+            if (this.getAmmoMeta(weapon).ammoType || this.isThrownWeapon(battler.ammoWeapon(slot))) slots.push(slot);
+            return slots;
+        }, []);
     };
 
-    const _Game_Action_calcElementRate = Game_Action.prototype.calcElementRate;
-    Game_Action.prototype.calcElementRate = function(target) {
-        const subject = this.subject();
-        if (subject && subject.isActor() && subject._isApplyingTempAmmoParams) {
-            const ammoElementId = subject._tempAmmoElementId;
-            if (ammoElementId !== null && ammoElementId >= 0) {
-                return target.elementRate(ammoElementId);
-            }
+    // Runs fn with the actor's helpers (ammo type, clip, base weapon) pointed at one weapon slot.
+    AmmoSystem.withAmmoSlot = function(battler, slot, fn) {
+        if (!battler || !battler.isActor()) return fn();
+        const previousSlot = battler._ammoSlot;
+        battler._ammoSlot = slot;
+        try {
+            return fn();
+        } finally {
+            battler._ammoSlot = previousSlot;
         }
-        return _Game_Action_calcElementRate.apply(this, arguments);
     };
 
-    const _Game_Action_apply = Game_Action.prototype.apply;
-    Game_Action.prototype.apply = function(target) {
-        _Game_Action_apply.apply(this, arguments);
+    AmmoSystem.getAmmoTypeForSlot = function(battler, slot) {
+        return this.withAmmoSlot(battler, slot, () => this.getWeaponAmmoType(battler));
+    };
 
-        const subject = this.subject();
-        if (subject && subject.isActor() && subject._isApplyingTempAmmoParams) {
-            if (target.result().isHit()) {
-                // Apply states
-                if (subject._tempAmmoStateInfo.length > 0 && target.isEnemy() && target.isAlive()) {
-                    subject._tempAmmoStateInfo.forEach(stateInfo => {
-                        if (Math.random() < stateInfo.chance) {
-                            target.addState(stateInfo.id);
-                        }
-                    });
-                }
-                // Consume ammo
-                if (subject._ammoToConsumeCount > 0) {
-                    const weapon = subject.weapons()[0];
-                    if (weapon) {
-                       const ammoItem = AmmoSystem.ensureValidAmmoSelected(subject, AmmoSystem.getNotetagValue(weapon.note, "Ammo"));
-                        if (ammoItem) {
-                            $gameParty.loseItem(ammoItem, subject._ammoToConsumeCount);
-                        } 
-                    }
-                    subject._ammoToConsumeCount = 0; // Consume only once per action
-                }
-            } else {
-                subject._ammoToConsumeCount = 0;
-            }
+    // Every distinct ammo type the battler's weapons use, main hand first. Thrown weapons have none.
+    AmmoSystem.getBattlerAmmoTypes = function(battler) {
+        const types = this.getAmmoSlots(battler).map(slot => this.getAmmoTypeForSlot(battler, slot));
+        return types.filter((type, index) => type && types.indexOf(type) === index);
+    };
+
+    AmmoSystem.getAmmoSlotForItem = function(battler, ammoItem) {
+        const slot = this.getAmmoSlots(battler).find(entry => this.isAmmoOfType(ammoItem, this.getAmmoTypeForSlot(battler, entry)));
+        return slot !== undefined ? slot : battler.ammoSlot();
+    };
+
+    // A basic attack fires every ammo weapon the battler holds; skills fire the first one only. An actor's
+    // weapon whose ammo type has no variable mapping is ignored, as validation warns.
+    AmmoSystem.getFiringSlots = function(battler, action) {
+        const slots = this.getAmmoSlots(battler).filter(slot => {
+            return battler.isEnemy() || this.withAmmoSlot(battler, slot, () => this.firesTrackedAmmo(battler));
+        });
+        if (action.isAttack() && !this.isPerShotMultiShot(action.item())) {
+            return slots;
         }
+        return slots.slice(0, 1);
     };
-    
-    // --- Window_BattleLog Hook ---
-    
-    const _Window_BattleLog_showAnimation = Window_BattleLog.prototype.showAnimation;
-    Window_BattleLog.prototype.showAnimation = function(subject, targets, animationId) {
-        const action = BattleManager._action;
-        // If the current action has our override property, use it instead.
-        if (action && action._overrideAnimationId > 0) {
-            animationId = action._overrideAnimationId;
+
+    // --- Thrown Weapons ---
+
+    AmmoSystem.isThrownWeapon = function(item) {
+        return DataManager.isWeapon(item) && this.getAmmoMeta(item).thrownWeapon;
+    };
+
+    // The <ThrownWeapon> in the actor's current weapon slot, which is fired as its own ammo.
+    AmmoSystem.getThrownWeapon = function(battler) {
+        const weapon = battler && battler.isActor() ? battler.ammoWeapon() : null;
+        return this.isThrownWeapon(weapon) ? weapon : null;
+    };
+
+    // Whether the current weapon slot fires ammo this plugin keeps count of.
+    AmmoSystem.firesTrackedAmmo = function(battler) {
+        if (this.getThrownWeapon(battler)) return true;
+        const weaponAmmoType = this.getWeaponAmmoType(battler);
+        return !!weaponAmmoType && !!this.getVariableIdForAmmoType(weaponAmmoType);
+    };
+
+    // The round the current weapon slot fires next, thrown weapons included.
+    AmmoSystem.getSlotAmmo = function(battler) {
+        const weaponAmmoType = this.getWeaponAmmoType(battler);
+        return this.getThrownWeapon(battler) || (weaponAmmoType ? this.getAmmoForAction(battler, weaponAmmoType) : null);
+    };
+
+    // Spare copies in the inventory go first. Equipped copies are thrown last and leave the actor's hands.
+    AmmoSystem.throwWeapon = function(actor, weapon, count) {
+        const spares = Math.min(count, $gameParty.numItems(weapon));
+        $gameParty.loseItem(weapon, spares);
+        const equipped = Math.min(count - spares, this.getEquippedCopies(actor, weapon));
+        for (let i = 0; i < equipped; i++) {
+            actor.discardEquip(weapon);
+        }
+        if (equipped > 0) {
+            actor.refresh();
         }
-        _Window_BattleLog_showAnimation.call(this, subject, targets, animationId);
     };
 
-    const _BattleManager_endBattle = BattleManager.endBattle;
-    BattleManager.endBattle = function() {
-        _BattleManager_endBattle.apply(this, arguments);
-        $gameParty.members().forEach(actor => {
-            actor._battleWeapon = null;
-            actor._originalWeaponData = null;
-            actor.resetAmmoEffects();
-        });
+    // A dual wielder can hold two copies of the same thrown weapon.
+    AmmoSystem.getEquippedCopies = function(actor, weapon) {
+        return actor && actor.isActor() ? actor.equips().filter(item => item === weapon).length : 0;
+    };
+
+    AmmoSystem.isAmmoOfType = function(item, ammoType) {
+        if (!item || !DataManager.isItem(item)) return false;
+        const acceptedTypes = this.parseAmmoTypes(ammoType);
+        return this.getAmmoMeta(item).ammoTypes.some(type => acceptedTypes.includes(type));
     };
 
+    AmmoSystem.getAmmoItemsForType = function(ammoType) {
+        return $gameParty.items().filter(item => this.isAmmoOfType(item, ammoType));
+    };
+
+    // Same lookup as ensureValidAmmoSelected, but leaves the selection untouched.
+    AmmoSystem.peekSelectedAmmo = function(actor, weaponAmmoType) {
+        const ammoId = this.getSelectedAmmoId(actor, weaponAmmoType);
+        const ammoItem = ammoId > 0 ? $dataItems[ammoId] : null;
+        if (this.isAmmoOfType(ammoItem, weaponAmmoType) && $gameParty.hasItem(ammoItem)) {
+            return ammoItem;
+        }
+        if (!this.canAutoReplace(actor, ammoId)) return null;
+        return this.findBestMatchingAmmoItem(weaponAmmoType, actor) || null;
+    };
+
+    AmmoSystem.getDisplayedAmmo = function(actor, weaponAmmoType) {
+        const thrownWeapon = this.getThrownWeapon(actor);
+        if (thrownWeapon) return thrownWeapon;
+        if (this.usesClip(actor) && actor.loadedAmmoItem()) {
+            return actor.loadedAmmoItem();
+        }
+        return this.peekSelectedAmmo(actor, weaponAmmoType);
+    };
+
+    AmmoSystem.getLowAmmoThreshold = function(actor) {
+        const weapon = actor.ammoSlotWeapon();
+        const threshold = this.getAmmoMeta(weapon).lowAmmoThreshold;
+        return threshold !== null ? threshold : this._lowAmmoThreshold;
+    };
+
+    AmmoSystem.getAmmoCountColor = function(actor, count) {
+        if (count <= 0) return ColorManager.deathColor();
+        if (count < this.getLowAmmoThreshold(actor)) return ColorManager.crisisColor();
+        return ColorManager.normalColor();
+    };
+
+    AmmoSystem.getTotalAmmoCount = function(ammoType) {
+        return this.getAmmoItemsForType(ammoType).reduce((sum, item) => sum + $gameParty.numItems(item), 0);
+    };
+
+    AmmoSystem.autoSelectAmmo = function(actor, ammoType) {
+        const bestAmmo = this.findBestMatchingAmmoItem(ammoType, actor);
+        this.setSelectedAmmo(actor, ammoType, bestAmmo);
+        return bestAmmo;
+    };
+
+    AmmoSystem.getClipSize = function(actor) {
+        const weapon = actor && actor.isActor() ? actor.ammoWeapon() : null;
+        return this.isThrownWeapon(weapon) ? 0 : this.getAmmoMeta(weapon).clipSize || 0;
+    };
+
+    AmmoSystem.usesClip = function(actor) {
+        return this.getClipSize(actor) > 0;
+    };
+
+    // Clip weapons fire what is loaded; everything else fires straight from the inventory.
+    AmmoSystem.getAmmoForAction = function(actor, weaponAmmoType) {
+        const thrownWeapon = this.getThrownWeapon(actor);
+        if (thrownWeapon) return thrownWeapon;
+        if (this.usesClip(actor)) {
+            return actor.loadedAmmoItem();
+        }
+        return this.ensureValidAmmoSelected(actor, weaponAmmoType);
+    };
+
+    AmmoSystem.getAvailableAmmoCount = function(actor, ammoItem) {
+        if (this.isThrownWeapon(ammoItem)) {
+            return $gameParty.numItems(ammoItem) + this.getEquippedCopies(actor, ammoItem);
+        }
+        if (this.usesClip(actor)) {
+            return actor.loadedAmmoCount();
+        }
+        if (actor && actor.isEnemy()) {
+            return actor.stockedAmmoCount(ammoItem);
+        }
+        return $gameParty.numItems(ammoItem);
+    };
+
+    AmmoSystem.isAmmoAction = function(action) {
+        const meta = this.getAmmoMeta(action.item());
+        return action.isAttack() || meta.useAmmo || meta.strictAmmo !== null || meta.multiShot !== null;
+    };
+
+    AmmoSystem.isAmmoSkill = function(skill) {
+        const meta = this.getAmmoMeta(skill);
+        return meta.useAmmo || meta.strictAmmo !== null || meta.multiShot !== null || meta.requireAmmo !== null;
+    };
+
+    // The rounds one use of the skill fires when enough ammo is available.
+    AmmoSystem.getSkillAmmoUse = function(skill) {
+        const multiShotCount = this.getAmmoMeta(skill).multiShot;
+        return this.getAmmoCost(skill) * (multiShotCount > 0 ? multiShotCount : 1);
+    };
+
+    // Rounds the battler could fire right now without side effects, counting an automatic reload.
+    AmmoSystem.getReadyAmmoCount = function(battler, weaponAmmoType) {
+        if (battler.isEnemy()) {
+            const stocked = battler.stockedAmmoItem(weaponAmmoType);
+            return stocked ? battler.stockedAmmoCount(stocked) : 0;
+        }
+        const thrownWeapon = this.getThrownWeapon(battler);
+        if (thrownWeapon) {
+            return this.getAvailableAmmoCount(battler, thrownWeapon);
+        }
+        if (this.usesClip(battler) && battler.loadedAmmoCount() > 0) {
+            return battler.loadedAmmoCount();
+        }
+        if (this.usesClip(battler) && !this._autoReload) return 0;
+        const ammoItem = this.peekSelectedAmmo(battler, weaponAmmoType);
+        const owned = ammoItem ? $gameParty.numItems(ammoItem) : 0;
+        return this.usesClip(battler) ? Math.min(owned, this.getClipSize(battler)) : owned;
+    };
+
+    AmmoSystem.meetsAmmoRequirement = function(battler, skill) {
+        const required = this.getAmmoMeta(skill).requireAmmo;
+        if (required === null) return true;
+        const weaponAmmoType = this.getWeaponAmmoType(battler);
+        const minimum = Math.max(1, required || this.getAmmoCost(skill));
+        if (this.getThrownWeapon(battler)) {
+            return this.getReadyAmmoCount(battler, weaponAmmoType) >= minimum;
+        }
+        if (!weaponAmmoType) return true;
+        if (battler.isActor() && !this.getVariableIdForAmmoType(weaponAmmoType)) return true;
+        if (!this.hasValidAmmo(battler, weaponAmmoType)) return false;
+        return this.getReadyAmmoCount(battler, weaponAmmoType) >= minimum;
+    };
+
+    AmmoSystem.isPerShotMultiShot = function(skill) {
+        const meta = this.getAmmoMeta(skill);
+        if (!(meta.multiShot > 0)) return false;
+        return (meta.multiShotMode || this._multiShotMode) === "pershot";
+    };
+
+    // The number of shots a per-shot MultiShot action fires: one per ammo available, up to the MultiShot count.
+    AmmoSystem.getPerShotCount = function(battler, action) {
+        const multiShotCount = this.getAmmoMeta(action.item()).multiShot;
+        const ammoItem = this.getSlotAmmo(battler);
+        if (!ammoItem) return 1;
+        const affordable = Math.floor(this.getAvailableAmmoCount(battler, ammoItem) / this.getAmmoCost(action.item()));
+        return Math.max(1, Math.min(multiShotCount, affordable));
+    };
+
+    // --- Ammo Consumption ---
+
+    AmmoSystem.getAmmoCost = function(skill) {
+        const cost = this.getAmmoMeta(skill).ammoCost;
+        return cost !== null ? Math.max(0, cost) : 1;
+    };
+
+    // Skill tags win over ammo tags, which win over the plugin parameters.
+    AmmoSystem.getConsumptionPolicy = function(skill, ammoItem) {
+        const skillMeta = this.getAmmoMeta(skill);
+        const ammoMeta = this.getAmmoMeta(ammoItem);
+        return {
+            timing: skillMeta.ammoConsume || ammoMeta.ammoConsume || this._ammoConsumeTiming,
+            per: skillMeta.ammoConsumePer || ammoMeta.ammoConsumePer || this._ammoConsumePer
+        };
+    };
+
+    AmmoSystem.isConsumedOn = function(timing, isHit) {
+        if (timing === "always") return true;
+        return timing === "miss" ? !isHit : isHit;
+    };
+
+    AmmoSystem.getAmmoSaveChance = function(battler) {
+        const percent = battler.traitObjects().reduce((sum, obj) => {
+            return sum + (this.getAmmoMeta(obj).ammoSaveChance || 0);
+        }, 0);
+        return Math.max(0, Math.min(100, percent)) / 100;
+    };
+
+    // Rolls the battler's save chance for every round and returns how many are still used up.
+    AmmoSystem.applyAmmoSaveChance = function(battler, count) {
+        const chance = this.getAmmoSaveChance(battler);
+        if (chance <= 0) return count;
+        let spent = 0;
+        for (let i = 0; i < count; i++) {
+            if (this.random() >= chance) spent++;
+        }
+        return spent;
+    };
+
+    AmmoSystem.consumeAmmo = function(actor, ammoItem, count, isHit) {
+        count = Math.min(count, this.getAvailableAmmoCount(actor, ammoItem));
+        if (actor) {
+            count = this.applyAmmoSaveChance(actor, count);
+        }
+        if (count <= 0) return;
+        const isEnemy = !!actor && actor.isEnemy();
+        if (!isEnemy && $gameSystem.isAmmoConsumptionLocked()) return;
+        const event = this.emit("consumed", { battler: actor, item: ammoItem, count: count, isHit: isHit, cancel: false });
+        if (event.cancel) return;
+        count = Math.min(Math.max(0, Math.floor(event.count)), this.getAvailableAmmoCount(actor, ammoItem));
+        if (count <= 0) return;
+        if (isEnemy) {
+            actor.loseStockedAmmo(ammoItem, count);
+            return;
+        }
+        if (this.usesClip(actor)) {
+            actor.setLoadedAmmo(ammoItem.id, actor.loadedAmmoCount() - count);
+        } else if (this.isThrownWeapon(ammoItem)) {
+            this.throwWeapon(actor, ammoItem, count);
+        } else {
+            $gameParty.loseItem(ammoItem, count);
+        }
+        this.recordSpentAmmo(ammoItem, count, isHit);
+    };
+
+    AmmoSystem.reloadClip = function(actor) {
+        const clipSize = this.getClipSize(actor);
+        const weaponAmmoType = this.getWeaponAmmoType(actor);
+        if (clipSize <= 0 || !weaponAmmoType) return false;
+
+        const ammoItem = this.ensureValidAmmoSelected(actor, weaponAmmoType);
+        if (!ammoItem) return false;
+
+        // Rounds of a different ammo are ejected back into the inventory first.
+        const loadedItem = actor.loadedAmmoItem();
+        let loadedCount = actor.loadedAmmoCount();
+        if (loadedItem && loadedItem !== ammoItem) {
+            this.returnAmmo(loadedItem, loadedCount);
+            loadedCount = 0;
+        }
+
+        const amount = Math.min(clipSize - loadedCount, $gameParty.numItems(ammoItem));
+        if (amount <= 0) return false;
+        $gameParty.loseItem(ammoItem, amount);
+        actor.setLoadedAmmo(ammoItem.id, loadedCount + amount);
+        return true;
+    };
+
+    // The flat parameter bonuses of one round, indexed by param ID. <AmmoAtk> is included in ATK.
+    AmmoSystem.getAmmoParamBonuses = function(ammoItem) {
+        const meta = this.getAmmoMeta(ammoItem);
+        const bonuses = [0, 0, 0, 0, 0, 0, 0, 0];
+        bonuses[2] += meta.ammoAtk || 0;
+        meta.ammoParams.forEach(bonus => {
+            if (bonus.paramId >= 0) bonuses[bonus.paramId] += bonus.value;
+        });
+        return bonuses;
+    };
+
+    AmmoSystem.getAmmoStatsText = function(ammoItem) {
+        if (!ammoItem) return "";
+        const signed = value => (value >= 0 ? "+" : "") + value;
+        const meta = this.getAmmoMeta(ammoItem);
+        const parts = [];
+        this.getAmmoParamBonuses(ammoItem).forEach((value, paramId) => {
+            if (value) parts.push(`${TextManager.param(paramId)} ${signed(value)}`);
+        });
+        if (meta.ammoDmgRate !== null) parts.push(`Dmg ${meta.ammoDmgRate}%`);
+        if (meta.ammoPierce) parts.push(`Pierce ${meta.ammoPierce}%`);
+        if (meta.ammoScope) parts.push(meta.ammoScope.type === "all" ? "All Targets" : `${meta.ammoScope.count} Random`);
+        if (meta.ammoSplash) parts.push(`Splash ${meta.ammoSplash}%`);
+        if (meta.ammoDrain) parts.push(`Drain ${meta.ammoDrain}%`);
+        const elementId = meta.ammoDmgType;
+        if (elementId > 0 && $dataSystem.elements[elementId]) parts.push($dataSystem.elements[elementId]);
+        if (meta.ammoHitRate) parts.push(`Hit ${signed(meta.ammoHitRate)}%`);
+        if (meta.ammoCrit) parts.push(`Crit ${signed(meta.ammoCrit)}%`);
+        meta.ammoStates.forEach(stateInfo => {
+            const state = $dataStates[stateInfo.id];
+            if (state) parts.push(`${state.name} ${Math.round(stateInfo.chance * 100)}%`);
+        });
+        return parts.join("  ");
+    };
+
+    // The RMMZ effects one round carries: its <AmmoEffectsFrom> skill's effects, then its buffs and debuffs.
+    AmmoSystem.getAmmoItemEffects = function(ammoItem) {
+        const meta = this.getAmmoMeta(ammoItem);
+        const skill = meta.ammoEffectsFrom ? $dataSkills[meta.ammoEffectsFrom] : null;
+        const effects = skill ? skill.effects.slice() : [];
+        meta.ammoBuffs.forEach(buff => {
+            if (buff.paramId >= 0) effects.push({ code: Game_Action.EFFECT_ADD_BUFF, dataId: buff.paramId, value1: buff.turns, value2: 0 });
+        });
+        meta.ammoDebuffs.forEach(buff => {
+            if (buff.paramId >= 0) effects.push({ code: Game_Action.EFFECT_ADD_DEBUFF, dataId: buff.paramId, value1: buff.turns, value2: 0 });
+        });
+        return effects;
+    };
+
+    // Whether ammo states and effects reach the target under an <AmmoEffectTarget> rule.
+    AmmoSystem.isAmmoEffectTarget = function(subject, target, rule) {
+        switch (rule) {
+            case "any":
+                return true;
+            case "ally":
+                return subject.isActor() === target.isActor();
+            default:
+                return subject.isActor() !== target.isActor();
+        }
+    };
+
+    // --- Battle Log ---
+
+    AmmoSystem.addBattleLogLine = function(format, ...args) {
+        const logWindow = BattleManager._logWindow;
+        if (format && logWindow) {
+            logWindow.push("addText", format.format(...args));
+        }
+    };
+
+    AmmoSystem.getNoAmmoSkill = function(battler) {
+        const weapon = battler.isActor() ? battler.ammoWeapon() : battler.ammoBaseWeapon();
+        const skillId = this.getAmmoMeta(weapon).noAmmoSkill;
+        return skillId ? $dataSkills[skillId] || null : null;
+    };
+
+    // Turns a basic attack into the weapon's <NoAmmoSkill> when there is nothing to fire. A dual
+    // wielder only switches once neither weapon has ammo left.
+    AmmoSystem.applyNoAmmoSkill = function(battler, action) {
+        if (!action.isAttack()) return;
+        const weaponAmmoType = this.getWeaponAmmoType(battler);
+        const skill = weaponAmmoType ? this.getNoAmmoSkill(battler) : null;
+        const hasAmmo = this.getAmmoSlots(battler).some(slot => this.withAmmoSlot(battler, slot, () => {
+            return this.hasValidAmmo(battler, this.getWeaponAmmoType(battler));
+        }));
+        if (skill && !hasAmmo && battler.canUse(skill)) {
+            action.setSkill(skill.id);
+        }
+    };
+
+    // --- Ammo Recovery ---
+
+    // Spent rounds are keyed by item ID, or "w" and the ID for thrown weapons.
+    AmmoSystem.spentAmmoKey = function(ammoItem) {
+        return DataManager.isWeapon(ammoItem) ? `w${ammoItem.id}` : String(ammoItem.id);
+    };
+
+    AmmoSystem.spentAmmoItem = function(key) {
+        return key.startsWith("w") ? $dataWeapons[Number(key.slice(1))] : $dataItems[Number(key)];
+    };
+
+    AmmoSystem.recordSpentAmmo = function(ammoItem, count, isHit) {
+        const spentAmmo = BattleManager._spentAmmo;
+        if (!spentAmmo || !ammoItem || count <= 0) return;
+        const key = this.spentAmmoKey(ammoItem);
+        if (!spentAmmo[key]) {
+            spentAmmo[key] = { hit: 0, miss: 0 };
+        }
+        spentAmmo[key][isHit ? "hit" : "miss"] += count;
+    };
+
+    AmmoSystem.getPartyAmmoRecoverBonus = function() {
+        return $gameParty.battleMembers().reduce((total, actor) => {
+            return total + actor.traitObjects().reduce((sum, obj) => {
+                return sum + (this.getAmmoMeta(obj).ammoRecoverBonus || 0);
+            }, 0);
+        }, 0);
+    };
+
+    // Returns null for ammo that cannot be recovered at all.
+    AmmoSystem.getAmmoRecoverRates = function(ammoItem, bonus) {
+        const meta = this.getAmmoMeta(ammoItem);
+        const base = meta.ammoRecover;
+        const onHit = meta.ammoRecoverHit;
+        const onMiss = meta.ammoRecoverMiss;
+        if (base === null && onHit === null && onMiss === null) return null;
+
+        const toRate = value => Math.max(0, Math.min(100, (value !== null ? value : base || 0) + bonus)) / 100;
+        return { hit: toRate(onHit), miss: toRate(onMiss) };
+    };
+
+    AmmoSystem.makeRecoveredAmmo = function(spentAmmo) {
+        const bonus = this.getPartyAmmoRecoverBonus();
+        const recovered = [];
+        Object.keys(spentAmmo || {}).forEach(key => {
+            const ammoItem = this.spentAmmoItem(key);
+            const rates = ammoItem ? this.getAmmoRecoverRates(ammoItem, bonus) : null;
+            if (!rates) return;
+
+            const spent = spentAmmo[key];
+            let count = 0;
+            for (let i = 0; i < spent.hit; i++) {
+                if (this.random() < rates.hit) count++;
+            }
+            for (let i = 0; i < spent.miss; i++) {
+                if (this.random() < rates.miss) count++;
+            }
+            if (count > 0) {
+                recovered.push({ item: ammoItem, count: count });
+            }
+        });
+        return recovered;
+    };
+
+    // The ammo the defeated enemies did not fire, one entry per item like recovered ammo.
+    AmmoSystem.makeEnemyAmmoDrops = function(enemies) {
+        const drops = [];
+        enemies.forEach(enemy => {
+            enemy.ammoStock().forEach(entry => {
+                const item = $dataItems[entry.itemId];
+                if (!item || entry.count <= 0) return;
+                const drop = drops.find(d => d.item === item);
+                if (drop) {
+                    drop.count += entry.count;
+                } else {
+                    drops.push({ item: item, count: entry.count });
+                }
+            });
+        });
+        return drops;
+    };
+
+    // --- Carry Capacity ---
+
+    // The most rounds of one ammo type the party may carry, or null when it is not limited.
+    AmmoSystem.getAmmoCapacity = function(ammoType) {
+        if (this._ammoCapacity <= 0) return null;
+        const bonus = $gameParty.allMembers().reduce((total, actor) => {
+            return total + actor.armors().reduce((sum, armor) => {
+                return sum + this.getAmmoMeta(armor).ammoCapacity
+                    .filter(entry => entry.ammoType === ammoType)
+                    .reduce((value, entry) => value + entry.value, 0);
+            }, 0);
+        }, 0);
+        return Math.max(0, this._ammoCapacity + bonus);
+    };
+
+    // The tightest limit among the item's ammo types, as { ammoType, count, max }, or null.
+    AmmoSystem.getAmmoCapacityInfo = function(item) {
+        if (!item || !DataManager.isItem(item) || this._ignoreCapacity) return null;
+        return this.getAmmoMeta(item).ammoTypes.reduce((tightest, ammoType) => {
+            const max = this.getAmmoCapacity(ammoType);
+            if (max === null) return tightest;
+            const info = { ammoType: ammoType, count: this.getTotalAmmoCount(ammoType), max: max };
+            return !tightest || info.max - info.count < tightest.max - tightest.count ? info : tightest;
+        }, null);
+    };
+
+    // How many more rounds of the item fit, or null when the item is not limited.
+    AmmoSystem.getAmmoRoom = function(item) {
+        const info = this.getAmmoCapacityInfo(item);
+        return info ? Math.max(0, info.max - info.count) : null;
+    };
+
+    // Whether the party can take the amount in without losing any of it.
+    AmmoSystem.canReceiveAmmo = function(item, amount) {
+        const room = this.getAmmoRoom(item);
+        return room === null || amount <= room || this._ammoOverflow === "storage";
+    };
+
+    // Returns how much of a gain over capacity still goes into the inventory.
+    AmmoSystem.handleAmmoOverflow = function(item, amount, room) {
+        const event = this.emit("overflow", { item: item, amount: amount, room: room, mode: this._ammoOverflow });
+        switch (event.mode) {
+            case "refuse":
+                return 0;
+            case "storage":
+                $gameParty.storeAmmo(item, amount - room);
+                return room;
+            default:
+                return room;
+        }
+    };
+
+    // Rounds unloaded from a clip go back even when the party is at capacity.
+    AmmoSystem.returnAmmo = function(item, amount) {
+        this._ignoreCapacity = true;
+        try {
+            $gameParty.gainItem(item, amount);
+        } finally {
+            this._ignoreCapacity = false;
+        }
+    };
+
+    // --- Ammo Crafting ---
+
+    AmmoSystem.getNotetagRecipes = function(note) {
+        const regex = /<AmmoRecipe:\s*(.+?)\s*=>\s*(\d+)\s*>/gi;
+        const recipes = [];
+        let match;
+        while ((match = regex.exec(note || "")) !== null) {
+            const ingredients = match[1].split(',').map(part => {
+                const pieces = part.split(':');
+                return { itemId: Number(pieces[0]), count: pieces.length > 1 ? Number(pieces[1]) : 1 };
+            });
+            const count = Number(match[2]);
+            if (count > 0 && ingredients.every(e => $dataItems[e.itemId] && e.count > 0)) {
+                recipes.push({ ingredients: ingredients, count: count });
+            }
+        }
+        return recipes;
+    };
+
+    AmmoSystem.getAmmoRecipes = function(resultItemIds) {
+        const recipes = [];
+        $dataItems.forEach(item => {
+            if (!item || (resultItemIds && !resultItemIds.includes(item.id))) return;
+            this.getAmmoMeta(item).recipes.forEach(recipe => {
+                recipes.push({
+                    item: item,
+                    ingredients: recipe.ingredients.map(e => ({ item: $dataItems[e.itemId], count: e.count })),
+                    count: recipe.count
+                });
+            });
+        });
+        return recipes;
+    };
+
+    AmmoSystem.canCraftRecipe = function(recipe, times) {
+        times = times || 1;
+        if (!this.canReceiveAmmo(recipe.item, recipe.count * times)) return false;
+        return recipe.ingredients.every(e => $gameParty.numItems(e.item) >= e.count * times);
+    };
+
+    AmmoSystem.craftRecipe = function(recipe, times) {
+        times = times || 1;
+        if (!this.canCraftRecipe(recipe, times)) return false;
+        recipe.ingredients.forEach(e => $gameParty.loseItem(e.item, e.count * times));
+        $gameParty.gainItem(recipe.item, recipe.count * times);
+        return true;
+    };
+
+    // --- Ammo Effects ---
+
+    // Works out everything one action gets from its ammo without touching the battler, so it can be
+    // previewed. ammoCount is the number of rounds available and defaults to what the battler has now.
+    AmmoSystem.computeAmmoEffects = function(battler, skill, ammoItem, ammoCount) {
+        if (!ammoItem) return null;
+        if (ammoCount === undefined) {
+            ammoCount = this.getAvailableAmmoCount(battler, ammoItem);
+        }
+
+        const weaponMeta = this.getAmmoMeta(battler.ammoBaseWeapon());
+        const ammoMeta = this.getAmmoMeta(ammoItem);
+        const skillMeta = this.getAmmoMeta(skill);
+        const ammoCost = this.getAmmoCost(skill);
+        const isPerShot = this.isPerShotMultiShot(skill);
+        const baseParamBonuses = this.getAmmoParamBonuses(ammoItem);
+        const baseAmmoAtk = baseParamBonuses[2];
+        const baseStates = ammoMeta.ammoStates;
+        const baseItemEffects = this.getAmmoItemEffects(ammoItem);
+        let ammoAtk = 0;
+        let ammoToConsume = ammoCost;
+        let paramScale = 1;
+        let shotCount = 1;
+        let finalStates = [];
+        let finalItemEffects = [];
+        let finalAmmoHitBonus = (ammoMeta.ammoHitRate || 0) / 100;
+        let finalAmmoCritBonus = (ammoMeta.ammoCrit || 0) / 100;
+
+        // --- MultiShot Calculation ---
+        const multiShotCount = skillMeta.multiShot;
+        if (isPerShot) {
+            // Each shot is its own hit, so it only carries a single round's bonuses.
+            ammoAtk = baseAmmoAtk;
+            finalStates = baseStates;
+            finalItemEffects = baseItemEffects;
+            const affordable = ammoCost > 0 ? Math.floor(ammoCount / ammoCost) : multiShotCount;
+            shotCount = Math.max(1, Math.min(multiShotCount, affordable));
+        } else if (multiShotCount > 0) {
+            const numShots = ammoCost > 0 ? Math.min(multiShotCount, Math.floor(ammoCount / ammoCost)) : multiShotCount;
+            paramScale = 0;
+
+            if (numShots > 0) {
+                // ATK Bonus Calculation
+                const skillSuccessRate = skill.successRate / 100;
+                // Another weapon's ammo may already be applied this action; its hit bonus is not this shot's.
+                const tempHit = battler._isApplyingTempAmmoParams ? battler._tempRangedHit + battler._tempAmmoHit : 0;
+                const baseHit = battler.xparam(0) - tempHit;
+                const rangedHitBonus = (weaponMeta.rangedHit || 0) / 100;
+                const ammoHitBonusForSim = (ammoMeta.ammoHitRate || 0) / 100;
+                let singleShotHitChance = (baseHit + rangedHitBonus + ammoHitBonusForSim) * skillSuccessRate;
+                singleShotHitChance = Math.max(0.01, Math.min(0.95, singleShotHitChance));
+                const probOfAllMiss = Math.pow(1 - singleShotHitChance, numShots);
+                const probAtLeastOneHit = 1 - probOfAllMiss;
+                paramScale = numShots * probAtLeastOneHit;
+                ammoAtk = Math.round(baseAmmoAtk * paramScale);
+
+                // State Application Calculation
+                if (baseStates.length > 0) {
+                    for (let i = 0; i < numShots; i++) {
+                        finalStates = finalStates.concat(baseStates);
+                    }
+                }
+
+                // Ammo effects land once for every shot, like the states
+                for (let i = 0; i < numShots; i++) {
+                    finalItemEffects = finalItemEffects.concat(baseItemEffects);
+                }
+
+                // Hit Rate Bonus Calculation
+                const initialHitRate = ammoMeta.ammoHitRate || 0;
+                if (initialHitRate > 0) {
+                    let hitRateModifier = 0.75;
+                    const lowAmmoAnimInfo = skillMeta.lowAmmoAnimation;
+                    if (lowAmmoAnimInfo && ammoCount < lowAmmoAnimInfo.quantity) {
+                        hitRateModifier = 0.5;
+                    }
+                    const a = initialHitRate * hitRateModifier;
+                    if (a > 0) {
+                        const r = 0.5;
+                        const totalBonus = a * (1 - Math.pow(r, numShots)) / (1 - r);
+                        finalAmmoHitBonus = totalBonus / 100;
+                    } else {
+                        finalAmmoHitBonus = 0;
+                    }
+                }
+
+                // Critical Rate Bonus Calculation
+                const initialCritRate = ammoMeta.ammoCrit || 0;
+                if (initialCritRate > 0) {
+                    let critRateModifier = 0.5;
+                    const lowAmmoAnimInfo = skillMeta.lowAmmoAnimation;
+                    if (lowAmmoAnimInfo && ammoCount < lowAmmoAnimInfo.quantity) {
+                        critRateModifier = 0.33;
+                    }
+                    const a = initialCritRate * critRateModifier;
+                    if (a > 0) {
+                        const r = 0.5;
+                        const totalBonus = a * (1 - Math.pow(r, numShots)) / (1 - r);
+                        finalAmmoCritBonus = totalBonus / 100;
+                    } else {
+                        finalAmmoCritBonus = 0;
+                    }
+                }
+
+                ammoToConsume = numShots * ammoCost;
+                shotCount = numShots;
+            }
+        } else {
+            ammoAtk = baseAmmoAtk;
+            finalStates = baseStates;
+            finalItemEffects = baseItemEffects;
+        }
+
+        const params = baseParamBonuses.map(value => Math.round(value * paramScale));
+        params[2] = ammoAtk;
+        return {
+            item: ammoItem,
+            skill: skill,
+            perShot: isPerShot,
+            shots: shotCount,
+            // A per-shot skill pays ammoCost for every shot; otherwise consumeCount is paid in one go.
+            ammoCost: ammoCost,
+            consumeCount: isPerShot ? ammoCost * shotCount : ammoToConsume,
+            atk: ammoAtk,
+            params: params,
+            hit: finalAmmoHitBonus,
+            crit: finalAmmoCritBonus,
+            rangedHit: (weaponMeta.rangedHit || 0) / 100,
+            rangedCrit: (weaponMeta.rangedCrit || 0) / 100,
+            elementId: ammoMeta.ammoDmgType,
+            // Copies, so listeners of the "applied" event cannot change the cached notetags or $dataSkills.
+            states: finalStates.map(stateInfo => ({ ...stateInfo })),
+            itemEffects: finalItemEffects.map(effect => ({ ...effect })),
+            effectTarget: ammoMeta.ammoEffectTarget || "opponent",
+            drain: Math.max(0, ammoMeta.ammoDrain || 0) / 100,
+            dmgRate: ammoMeta.ammoDmgRate !== null ? ammoMeta.ammoDmgRate / 100 : 1,
+            pierce: Math.max(0, Math.min(100, ammoMeta.ammoPierce || 0)) / 100,
+            variance: ammoMeta.ammoVariance,
+            targetBonuses: ammoMeta.ammoTargetBonuses.map(bonus => ({ ...bonus })),
+            splash: (ammoMeta.ammoSplash || 0) / 100
+        };
+    };
+
+    // Two lines describing computeAmmoEffects' result for the preview window.
+    AmmoSystem.getAmmoEffectsText = function(effects) {
+        if (!effects) return ["", ""];
+        const signed = value => (value >= 0 ? "+" : "") + value;
+        const percent = rate => Math.round(rate * 100);
+        const first = [];
+        const second = [];
+        if (effects.shots > 1) first.push(`Shots ×${effects.shots}`);
+        first.push(`Uses ${effects.consumeCount}`);
+        effects.params.forEach((value, paramId) => {
+            if (value) first.push(`${TextManager.param(paramId)} ${signed(value)}`);
+        });
+        const hit = percent(effects.hit + effects.rangedHit);
+        if (hit) first.push(`Hit ${signed(hit)}%`);
+        const crit = percent(effects.crit + effects.rangedCrit);
+        if (crit) first.push(`Crit ${signed(crit)}%`);
+
+        const elementId = effects.elementId;
+        if (elementId > 0 && $dataSystem.elements[elementId]) second.push($dataSystem.elements[elementId]);
+        if (effects.dmgRate !== 1) second.push(`Dmg ${percent(effects.dmgRate)}%`);
+        if (effects.pierce) second.push(`Pierce ${percent(effects.pierce)}%`);
+        if (effects.splash) second.push(`Splash ${percent(effects.splash)}%`);
+        if (effects.drain) second.push(`Drain ${percent(effects.drain)}%`);
+        const stateCounts = new Map();
+        effects.states.forEach(stateInfo => {
+            const key = `${stateInfo.id};${stateInfo.chance}`;
+            stateCounts.set(key, { info: stateInfo, count: (stateCounts.has(key) ? stateCounts.get(key).count : 0) + 1 });
+        });
+        stateCounts.forEach(({ info, count }) => {
+            const state = $dataStates[info.id];
+            if (state) second.push(`${state.name} ${percent(info.chance)}%` + (count > 1 ? ` ×${count}` : ""));
+        });
+        return [first.join("  "), second.join("  ")];
+    };
+
+    // --- Game_Battler Modifications ---
+
+    const _Game_Battler_initMembers = Game_Battler.prototype.initMembers;
+    Game_Battler.prototype.initMembers = function() {
+        _Game_Battler_initMembers.apply(this, arguments);
+        this._tempAmmoAtk = 0;
+        this._tempAmmoParams = [0, 0, 0, 0, 0, 0, 0, 0];
+        this._tempAmmoDmgRate = 1;
+        this._tempAmmoPierce = 0;
+        this._tempAmmoVariance = null;
+        this._tempAmmoTargetBonuses = [];
+        this._tempAmmoSplash = 0;
+        this._ammoShotCount = 0;
+        this._tempAmmoStateInfo = [];
+        this._tempAmmoItemEffects = [];
+        this._tempAmmoDrain = 0;
+        this._tempAmmoElementIds = [];
+        this._tempRangedHit = 0;
+        this._tempAmmoHit = 0;
+        this._tempRangedCrit = 0;
+        this._tempAmmoCrit = 0;
+        this._isApplyingTempAmmoParams = false;
+        this._ammoAction = null;
+        this._ammoToConsumeCounts = [];
+        this._ammoShotsLeft = 0;
+    };
+
+    // Game_Actor.paramPlus calls up into Game_BattlerBase, so this covers actors and enemies alike.
+    const _Game_BattlerBase_paramPlus = Game_BattlerBase.prototype.paramPlus;
+    Game_BattlerBase.prototype.paramPlus = function(paramId) {
+        let value = _Game_BattlerBase_paramPlus.apply(this, arguments);
+        if (this._isApplyingTempAmmoParams) {
+            value += paramId === 2 ? this._tempAmmoAtk : (this._tempAmmoParams[paramId] || 0);
+        }
+        return value;
+    };
+
+    // Set on the target while an ammo attack's damage formula runs; see Game_Action.evalDamageFormula.
+    const _Game_BattlerBase_param = Game_BattlerBase.prototype.param;
+    Game_BattlerBase.prototype.param = function(paramId) {
+        const value = _Game_BattlerBase_param.apply(this, arguments);
+        if (paramId === 3 && this._ammoPierceRate > 0) {
+            return Math.round(value * (1 - this._ammoPierceRate));
+        }
+        return value;
+    };
+
+    const _Game_BattlerBase_xparam = Game_BattlerBase.prototype.xparam;
+    Game_BattlerBase.prototype.xparam = function(xparamId) {
+        let value = _Game_BattlerBase_xparam.apply(this, arguments);
+        if (this._isApplyingTempAmmoParams) {
+            if (xparamId === 0) { // HIT
+                value += this._tempRangedHit + this._tempAmmoHit;
+            }
+            if (xparamId === 2) { // CRI
+                value += this._tempRangedCrit + this._tempAmmoCrit;
+            }
+        }
+        return value;
+    };
+
+    const _Game_BattlerBase_meetsUsableItemConditions = Game_BattlerBase.prototype.meetsUsableItemConditions;
+    Game_BattlerBase.prototype.meetsUsableItemConditions = function(item) {
+        return _Game_BattlerBase_meetsUsableItemConditions.apply(this, arguments) &&
+            (!DataManager.isSkill(item) || AmmoSystem.meetsAmmoRequirement(this, item));
+    };
+
+    Game_Battler.prototype.requestAmmoPopup = function() {
+        this._ammoPopupRequested = true;
+    };
+
+    Game_Battler.prototype.isAmmoPopupRequested = function() {
+        return !!this._ammoPopupRequested;
+    };
+
+    Game_Battler.prototype.clearAmmoPopup = function() {
+        this._ammoPopupRequested = false;
+    };
+
+    // The weapon whose RangedHit/RangedCrit tags apply to this battler's shots.
+    Game_Battler.prototype.ammoBaseWeapon = function() {
+        return null;
+    };
+
+    // The weapon slot whose ammo the AmmoSystem helpers currently work on. See AmmoSystem.withAmmoSlot.
+    Game_Battler.prototype.ammoSlot = function() {
+        return 0;
+    };
+
+    // Applies the ammo of the current weapon slot. A second slot firing in the same action adds its
+    // effects to the first one's, the way RMMZ adds up both weapons' parameters when dual wielding.
+    Game_Battler.prototype.applyAmmoEffects = function(ammoItem, action) {
+        if (!ammoItem) return null;
+
+        const slot = this.ammoSlot();
+        const effects = AmmoSystem.computeAmmoEffects(this, action.item(), ammoItem);
+        const event = AmmoSystem.emit("applied", {
+            battler: this,
+            action: action,
+            item: ammoItem,
+            slot: slot,
+            atk: effects.atk,
+            hit: effects.hit,
+            crit: effects.crit,
+            elementId: effects.elementId,
+            states: effects.states,
+            itemEffects: effects.itemEffects,
+            // A per-shot skill pays for each shot as it lands, so one payment is a single shot's cost.
+            consumeCount: effects.perShot ? effects.ammoCost : effects.consumeCount
+        });
+
+        if (!this._isApplyingTempAmmoParams) {
+            this.resetAmmoEffects();
+        }
+        this._tempAmmoAtk += event.atk;
+        effects.params.forEach((value, paramId) => {
+            if (paramId !== 2) this._tempAmmoParams[paramId] += value;
+        });
+        this._tempAmmoDmgRate *= effects.dmgRate;
+        this._tempAmmoPierce = Math.max(this._tempAmmoPierce, effects.pierce);
+        if (this._tempAmmoVariance === null) {
+            this._tempAmmoVariance = effects.variance;
+        }
+        this._tempAmmoTargetBonuses = this._tempAmmoTargetBonuses.concat(effects.targetBonuses);
+        this._tempAmmoSplash = Math.max(this._tempAmmoSplash, effects.splash);
+
+        this._ammoToConsumeCounts[slot] = event.consumeCount;
+        if (effects.perShot) {
+            this._ammoShotsLeft = effects.shots;
+        }
+        this._ammoShotCount += effects.shots;
+        // Each state and effect keeps its own ammo's <AmmoEffectTarget>, as two weapons may disagree.
+        const target = effects.effectTarget;
+        this._tempAmmoStateInfo = this._tempAmmoStateInfo.concat(event.states.map(stateInfo => ({ ...stateInfo, target: target })));
+        this._tempAmmoItemEffects = this._tempAmmoItemEffects.concat(event.itemEffects.map(effect => ({ effect: effect, target: target })));
+        this._tempAmmoDrain = Math.max(this._tempAmmoDrain, effects.drain);
+        this._tempAmmoHit += event.hit;
+        this._tempAmmoCrit += event.crit;
+
+        this._tempRangedHit += effects.rangedHit;
+        this._tempRangedCrit += effects.rangedCrit;
+        if (event.elementId !== null) {
+            this._tempAmmoElementIds.push(event.elementId);
+        }
+        
+        this._ammoAction = action;
+        this._isApplyingTempAmmoParams = true;
+        return effects;
+    };
+
+    // Whether action is the one that fired the ammo behind the battler's temporary bonuses.
+    Game_Battler.prototype.isFiringAmmo = function(action) {
+        return !!this._isApplyingTempAmmoParams && this._ammoAction === action;
+    };
+
+    Game_Battler.prototype.resetAmmoEffects = function() {
+        // Without an <AmmoParam> MaxHP or MaxMP bonus, HP and MP must fit under the normal maximums again.
+        const hadMaxBonus = !!this._isApplyingTempAmmoParams && (this._tempAmmoParams[0] !== 0 || this._tempAmmoParams[1] !== 0);
+        if (Array.isArray(this._originalWeaponData)) {
+             this._battleWeapons = this._originalWeaponData.map(data => (data ? JSON.parse(JSON.stringify(data)) : null));
+        }
+        
+        this._tempAmmoAtk = 0;
+        this._tempAmmoParams = [0, 0, 0, 0, 0, 0, 0, 0];
+        this._tempAmmoDmgRate = 1;
+        this._tempAmmoPierce = 0;
+        this._tempAmmoVariance = null;
+        this._tempAmmoTargetBonuses = [];
+        this._tempAmmoSplash = 0;
+        this._ammoShotCount = 0;
+        this._tempAmmoStateInfo = [];
+        this._tempAmmoItemEffects = [];
+        this._tempAmmoDrain = 0;
+        this._tempAmmoElementIds = [];
+        this._tempRangedHit = 0;
+        this._tempAmmoHit = 0;
+        this._tempRangedCrit = 0;
+        this._tempAmmoCrit = 0;
+        this._ammoToConsumeCounts = [];
+        this._ammoShotsLeft = 0;
+        this._isApplyingTempAmmoParams = false;
+        this._ammoAction = null;
+        if (hadMaxBonus) {
+            this.refresh();
+        }
+    };
+
+
+
+    // --- Game_Actor Modifications ---
+
+    const _Game_Actor_initMembers = Game_Actor.prototype.initMembers;
+    Game_Actor.prototype.initMembers = function() {
+        _Game_Actor_initMembers.apply(this, arguments);
+        this._battleWeapons = [];
+        this._originalWeaponData = [];
+        this._ammoSlot = null;
+        this._ammoSelections = {};
+        this._equipClips = [];
+    };
+
+    Game_Actor.prototype.selectedAmmoId = function(ammoType) {
+        return (this._ammoSelections && this._ammoSelections[ammoType]) || 0;
+    };
+
+    Game_Actor.prototype.setSelectedAmmoId = function(ammoType, itemId) {
+        if (!this._ammoSelections) {
+            this._ammoSelections = {}; // Saves made before per-actor loadouts existed
+        }
+        this._ammoSelections[ammoType] = itemId;
+    };
+
+    const _Game_Actor_weapons = Game_Actor.prototype.weapons;
+    Game_Actor.prototype.weapons = function() {
+        const realWeapons = _Game_Actor_weapons.apply(this, arguments);
+        if ($gameParty.inBattle() && this._battleWeapons && this._battleWeapons.length > 0) {
+            return this.equips().reduce((weapons, item, slot) => {
+                if (DataManager.isWeapon(item)) weapons.push(this._battleWeapons[slot] || item);
+                return weapons;
+            }, []);
+        }
+        return realWeapons;
+    };
+
+    // Unless a helper is working on a specific slot, the first weapon with a tracked ammo type is used.
+    Game_Actor.prototype.ammoSlot = function() {
+        if (this._ammoSlot !== null && this._ammoSlot !== undefined) {
+            return this._ammoSlot;
+        }
+        const slots = AmmoSystem.getAmmoSlots(this);
+        return slots.length > 0 ? slots[0] : 0;
+    };
+
+    // Weapon slots are equip slot indexes, so a slot keeps pointing at the same weapon when another one is removed.
+    Game_Actor.prototype.ammoWeapon = function(slot = this.ammoSlot()) {
+        const item = this.equips()[slot];
+        return DataManager.isWeapon(item) ? item : null;
+    };
+
+    // The weapon as weapons() shows it: the battle copy during battle, the equipped weapon otherwise.
+    Game_Actor.prototype.ammoSlotWeapon = function(slot = this.ammoSlot()) {
+        const weapon = this.ammoWeapon(slot);
+        if (!weapon) return null;
+        const inBattle = $gameParty.inBattle() && this._battleWeapons;
+        return (inBattle && this._battleWeapons[slot]) || weapon;
+    };
+
+    // Clips belong to the equip slot and remember the weapon they were loaded into, so two of the same
+    // pistol keep separate clips. Rounds are ejected when the weapon leaves its slot.
+    Game_Actor.prototype.ammoClip = function(slot = this.ammoSlot()) {
+        const weapon = this.ammoWeapon(slot);
+        if (!weapon) return null;
+        if (!this._equipClips) {
+            this._equipClips = [];
+        }
+        const clip = this._equipClips[slot];
+        if (clip && clip.weaponId !== weapon.id) {
+            this.ejectAmmoClip(slot);
+        }
+        if (!this._equipClips[slot]) {
+            this._equipClips[slot] = { weaponId: weapon.id, itemId: 0, count: 0 };
+        }
+        return this._equipClips[slot];
+    };
+
+    // Loaded rounds go back to the inventory, even when the party is at capacity. The equip screen
+    // previews changes on a copy of the actor, whose rounds are only dropped.
+    Game_Actor.prototype.ejectAmmoClip = function(slot) {
+        const clip = this._equipClips ? this._equipClips[slot] : null;
+        if (!clip) return;
+        const item = $dataItems[clip.itemId];
+        if (item && clip.count > 0 && $gameActors.actor(this.actorId()) === this) {
+            AmmoSystem.returnAmmo(item, clip.count);
+        }
+        this._equipClips[slot] = null;
+    };
+
+    // Ejects the clip of every slot whose weapon changed, whichever command changed it.
+    Game_Actor.prototype.ejectChangedAmmoClips = function(oldEquips) {
+        const equips = this.equips();
+        oldEquips.forEach((item, slot) => {
+            if (item !== equips[slot]) this.ejectAmmoClip(slot);
+        });
+    };
+
+    const _Game_Actor_changeEquip = Game_Actor.prototype.changeEquip;
+    Game_Actor.prototype.changeEquip = function(slotId, item) {
+        const oldEquips = this.equips();
+        _Game_Actor_changeEquip.apply(this, arguments);
+        this.ejectChangedAmmoClips(oldEquips);
+    };
+
+    const _Game_Actor_forceChangeEquip = Game_Actor.prototype.forceChangeEquip;
+    Game_Actor.prototype.forceChangeEquip = function(slotId, item) {
+        const oldEquips = this.equips();
+        _Game_Actor_forceChangeEquip.apply(this, arguments);
+        this.ejectChangedAmmoClips(oldEquips);
+    };
+
+    const _Game_Actor_discardEquip = Game_Actor.prototype.discardEquip;
+    Game_Actor.prototype.discardEquip = function(item) {
+        const oldEquips = this.equips();
+        _Game_Actor_discardEquip.apply(this, arguments);
+        this.ejectChangedAmmoClips(oldEquips);
+    };
+
+    // The slot's clip as it is, without creating one or ejecting a stale one, so previews change nothing.
+    Game_Actor.prototype.peekAmmoClip = function(slot = this.ammoSlot()) {
+        const weapon = this.ammoWeapon(slot);
+        const clip = weapon && this._equipClips ? this._equipClips[slot] : null;
+        return clip && clip.weaponId === weapon.id ? clip : null;
+    };
+
+    Game_Actor.prototype.loadedAmmoItem = function() {
+        const clip = this.peekAmmoClip();
+        return clip && clip.count > 0 ? $dataItems[clip.itemId] : null;
+    };
+
+    Game_Actor.prototype.loadedAmmoCount = function() {
+        const clip = this.peekAmmoClip();
+        return clip ? clip.count : 0;
+    };
+
+    Game_Actor.prototype.setLoadedAmmo = function(itemId, count) {
+        const clip = this.ammoClip();
+        if (clip) {
+            clip.count = Math.max(0, count);
+            clip.itemId = clip.count > 0 ? itemId : 0;
+        }
+    };
+
+    // Outside of battle there is no battle copy, so previews read the database weapon it would be made from.
+    Game_Actor.prototype.ammoBaseWeapon = function(slot = this.ammoSlot()) {
+        return (this._battleWeapons && this._battleWeapons[slot]) || this.ammoBaseWeaponData(slot);
+    };
+
+    Game_Actor.prototype.ammoBaseWeaponData = function(slot = this.ammoSlot()) {
+        const weapon = this.ammoWeapon(slot);
+        if (!weapon) return null;
+        const defaultId = AmmoSystem.getAmmoMeta(weapon).defaultWeaponId;
+        return (defaultId && $dataWeapons[defaultId]) || weapon;
+    };
+
+    // Every weapon slot gets its own battle copy, built from its own <DefaultWeaponId>. Other equip slots hold null.
+    Game_Actor.prototype.setupBattleWeapon = function() {
+        const baseWeapons = this.equips().map((item, slot) => this.ammoBaseWeaponData(slot));
+        this._originalWeaponData = baseWeapons.map(weapon => (weapon ? JSON.parse(JSON.stringify(weapon)) : null));
+        this._battleWeapons = baseWeapons.map(weapon => (weapon ? JSON.parse(JSON.stringify(weapon)) : null));
+    };
+
+    // --- Game_Enemy Modifications ---
+
+    const _Game_Enemy_setup = Game_Enemy.prototype.setup;
+    Game_Enemy.prototype.setup = function(enemyId, x, y) {
+        _Game_Enemy_setup.apply(this, arguments);
+        this._ammoStock = AmmoSystem.getAmmoMeta(this.enemy()).ammoSupply.map(e => ({ itemId: e.itemId, count: e.count }));
+    };
+
+    Game_Enemy.prototype.ammoBaseWeapon = function() {
+        const weaponId = AmmoSystem.getAmmoMeta(this.enemy()).enemyAmmoWeapon;
+        return weaponId ? $dataWeapons[weaponId] || null : null;
+    };
+
+    Game_Enemy.prototype.enemyAmmoType = function() {
+        const ammoType = AmmoSystem.getAmmoMeta(this.enemy()).ammoType;
+        if (ammoType) return ammoType;
+        return AmmoSystem.getAmmoMeta(this.ammoBaseWeapon()).ammoType;
+    };
+
+    Game_Enemy.prototype.ammoStock = function() {
+        return this._ammoStock || [];
+    };
+
+    Game_Enemy.prototype.stockedAmmoItem = function(ammoType) {
+        const entry = this.ammoStock().find(e => e.count > 0 && AmmoSystem.isAmmoOfType($dataItems[e.itemId], ammoType));
+        return entry ? $dataItems[entry.itemId] : null;
+    };
+
+    Game_Enemy.prototype.stockedAmmoCount = function(ammoItem) {
+        const entry = ammoItem ? this.ammoStock().find(e => e.itemId === ammoItem.id) : null;
+        return entry ? entry.count : 0;
+    };
+
+    Game_Enemy.prototype.loseStockedAmmo = function(ammoItem, count) {
+        const entry = this.ammoStock().find(e => e.itemId === ammoItem.id);
+        if (entry) {
+            entry.count = Math.max(0, entry.count - count);
+        }
+    };
+
+    const _Game_Enemy_isActionValid = Game_Enemy.prototype.isActionValid;
+    Game_Enemy.prototype.isActionValid = function(action) {
+        if (!_Game_Enemy_isActionValid.apply(this, arguments)) return false;
+        const skill = $dataSkills[action.skillId];
+        const ammoType = this.enemyAmmoType();
+        if (ammoType && skill && AmmoSystem.getAmmoMeta(skill).useAmmo) {
+            return !!this.stockedAmmoItem(ammoType);
+        }
+        return true;
+    };
+
+    // --- BattleManager Hooks ---
+
+    const _BattleManager_setup = BattleManager.setup;
+    BattleManager.setup = function(troopId, canEscape, canLose) {
+        _BattleManager_setup.apply(this, arguments);
+        $gameParty.members().forEach(actor => actor.setupBattleWeapon());
+        this._spentAmmo = {};
+    };
+
+    const _BattleManager_startAction = BattleManager.startAction;
+    BattleManager.startAction = function() {
+        // Reload first, so per-shot MultiShot skills count the fresh clip when their targets are made.
+        const nextSubject = this._subject;
+        const nextAction = nextSubject ? nextSubject.currentAction() : null;
+        if (nextSubject) {
+            nextSubject.resetAmmoEffects(); // Nothing from an earlier action may reach this one
+        }
+        if (nextAction) {
+            AmmoSystem.getAmmoSlots(nextSubject).forEach(slot => AmmoSystem.withAmmoSlot(nextSubject, slot, () => {
+                if (AmmoSystem._autoReload && AmmoSystem.usesClip(nextSubject) && nextSubject.loadedAmmoCount() === 0) {
+                    AmmoSystem.reloadClip(nextSubject);
+                }
+            }));
+            AmmoSystem.applyNoAmmoSkill(nextSubject, nextAction);
+        }
+
+        _BattleManager_startAction.apply(this, arguments);
+
+        const subject = this._subject;
+        if (subject) {
+            const action = subject.currentAction();
+            const firingSlots = action && AmmoSystem.isAmmoAction(action) ? AmmoSystem.getFiringSlots(subject, action) : [];
+            if (firingSlots.length > 0) {
+                const actionMeta = AmmoSystem.getAmmoMeta(action.item());
+                let firedAmmo = false;
+
+                firingSlots.forEach(slot => AmmoSystem.withAmmoSlot(subject, slot, () => {
+                    const ammoToUse = AmmoSystem.getAmmoForAction(subject, AmmoSystem.getWeaponAmmoType(subject));
+
+                    const switchedTo = subject._ammoSwitchedToId > 0 ? $dataItems[subject._ammoSwitchedToId] : null;
+                    if (switchedTo) {
+                        AmmoSystem.addBattleLogLine(AmmoSystem._ammoSwitchedMessage, subject.name(), switchedTo.name);
+                    }
+                    subject._ammoSwitchedToId = 0;
+                    if (!ammoToUse) return;
+
+                    firedAmmo = true;
+                    const effects = subject.applyAmmoEffects(ammoToUse, action);
+                    AmmoSystem.addBattleLogLine(AmmoSystem._ammoFiredMessage, subject.name(), effects.shots, ammoToUse.name);
+
+                    // --- UNIFIED ANIMATION LOGIC ---
+                    if (action.isAttack()) {
+                        const ammoAnimId = AmmoSystem.getAmmoMeta(ammoToUse).ammoAnimation;
+                        const battleWeapon = subject.isActor() ? subject._battleWeapons[slot] : null;
+                        if (ammoAnimId && battleWeapon) {
+                            battleWeapon.animationId = ammoAnimId;
+                        } else if (ammoAnimId && subject.isEnemy()) {
+                            action._overrideAnimationId = ammoAnimId;
+                        }
+                    } else if (action.isSkill()) {
+                        let animationIdToUse = 0;
+                        const multiShotCount = actionMeta.multiShot;
+                        const lowAmmoAnimInfo = actionMeta.lowAmmoAnimation;
+                        
+                        if (multiShotCount > 0 && lowAmmoAnimInfo && lowAmmoAnimInfo.quantity < multiShotCount) {
+                            const currentAmmoCount = AmmoSystem.getAvailableAmmoCount(subject, ammoToUse);
+                            if (currentAmmoCount < lowAmmoAnimInfo.quantity) {
+                                animationIdToUse = lowAmmoAnimInfo.animId;
+                            }
+                        }
+                        
+                        if (animationIdToUse > 0) {
+                            action._overrideAnimationId = animationIdToUse;
+                        }
+                    }
+                }));
+
+                if (!firedAmmo) {
+                    AmmoSystem.addBattleLogLine(AmmoSystem._ammoOutMessage, subject.name());
+                    // No ammo, only applies to skills
+                    if (action.isSkill()) {
+                        const noAmmoAnimId = actionMeta.noAmmoAnimation;
+                        if (noAmmoAnimId) {
+                            action._overrideAnimationId = noAmmoAnimId;
+                        }
+                    }
+                }
+
+                // --- DEBUG LOG ---
+                //console.log("--- AMMO SYSTEM ACTION START ---");
+                //console.log("Action:", action.item().name);
+                //console.log("Actor Base ATK:", subject.paramBase(2));
+                //console.log("Ammo ATK Bonus:", subject._tempAmmoAtk);
+                //console.log("Effective HIT:", (subject.xparam(0) * 100).toFixed(2) + "%");
+                //console.log("Effective CRI:", (subject.xparam(2) * 100).toFixed(2) + "%");
+                //let elementId = subject._tempAmmoElementIds.length > 0 ? subject._tempAmmoElementIds[0] : action.item().damage.elementId;
+                //if (elementId < 0) {
+                //    elementId = subject.attackElementId();
+                //}
+                //console.log("Attack Element:", $dataSystem.elements[elementId]);
+                //if (actionMeta.multiShot !== null) {
+                //   console.log("Ammo to Consume:", subject._ammoToConsumeCounts);
+                //}
+                //console.log("---------------------------------");
+            }
+        }
+    };
+
+    const _BattleManager_endAction = BattleManager.endAction;
+    BattleManager.endAction = function() {
+        const action = this._action;
+        if (action && action._overrideAnimationId) {
+            action._overrideAnimationId = 0; // Reset it
+        }
+        
+        // RMMZ clears _subject once the battler has no actions left, so it is read first.
+        const subject = this._subject;
+        _BattleManager_endAction.apply(this, arguments);
+        if (subject) {
+            subject.resetAmmoEffects();
+        }
+    };
+
+    const _BattleManager_invokeNormalAction = BattleManager.invokeNormalAction;
+    BattleManager.invokeNormalAction = function(subject, target) {
+        _BattleManager_invokeNormalAction.apply(this, arguments);
+        if (this._action) {
+            this._action.applyAmmoSplash();
+            this._action.applyAmmoDrain();
+        }
+    };
+
+    const _BattleManager_makeRewards = BattleManager.makeRewards;
+    BattleManager.makeRewards = function() {
+        _BattleManager_makeRewards.apply(this, arguments);
+        this._rewards.ammo = AmmoSystem.makeRecoveredAmmo(this._spentAmmo);
+        this._rewards.ammoDrops = AmmoSystem._enemyAmmoDrops ? AmmoSystem.makeEnemyAmmoDrops($gameTroop.deadMembers()) : [];
+    };
+
+    const _BattleManager_displayRewards = BattleManager.displayRewards;
+    BattleManager.displayRewards = function() {
+        _BattleManager_displayRewards.apply(this, arguments);
+        this.displayEnemyAmmoDrops();
+        this.displayRecoveredAmmo();
+    };
+
+    BattleManager.displayEnemyAmmoDrops = function() {
+        const drops = this._rewards.ammoDrops || [];
+        if (drops.length > 0) {
+            $gameMessage.newPage();
+            drops.forEach(entry => {
+                $gameMessage.add(TextManager.obtainItem.format(`${entry.item.name} ×${entry.count}`));
+            });
+        }
+    };
+
+    BattleManager.displayRecoveredAmmo = function() {
+        const recovered = this._rewards.ammo || [];
+        if (recovered.length > 0) {
+            $gameMessage.newPage();
+            recovered.forEach(entry => {
+                $gameMessage.add(AmmoSystem._ammoRecoveredMessage.format(entry.item.name, entry.count));
+            });
+        }
+    };
+
+    const _BattleManager_gainRewards = BattleManager.gainRewards;
+    BattleManager.gainRewards = function() {
+        _BattleManager_gainRewards.apply(this, arguments);
+        (this._rewards.ammoDrops || []).forEach(entry => $gameParty.gainItem(entry.item, entry.count));
+        (this._rewards.ammo || []).forEach(entry => $gameParty.gainItem(entry.item, entry.count));
+    };
+
+    // --- Game_Action Hooks ---
+
+    const _Game_Action_animationId = Game_Action.prototype.animationId;
+    Game_Action.prototype.animationId = function() {
+        if (this._overrideAnimationId > 0) {
+            return this._overrideAnimationId;
+        }
+        return _Game_Action_animationId.apply(this, arguments);
+    };
+
+    const _Game_Action_applyGlobal = Game_Action.prototype.applyGlobal;
+    Game_Action.prototype.applyGlobal = function() {
+        _Game_Action_applyGlobal.apply(this, arguments);
+        const subject = this.subject();
+        if (subject && subject.isActor() && AmmoSystem.getAmmoMeta(this.item()).reload) {
+            AmmoSystem.getAmmoSlots(subject).forEach(slot => {
+                AmmoSystem.withAmmoSlot(subject, slot, () => AmmoSystem.reloadClip(subject));
+            });
+        }
+    };
+
+    // Runs inside BattleManager.startAction before the ammo effects are applied, so it looks the ammo up itself.
+    const _Game_Action_makeTargets = Game_Action.prototype.makeTargets;
+    Game_Action.prototype.makeTargets = function() {
+        const subject = this.subject();
+        const canWiden = subject && !(!this._forcing && subject.isConfused()) && this.isForOpponent() &&
+            (this.isAttack() || AmmoSystem.getAmmoMeta(this.item()).useAmmo);
+        const ammoItem = canWiden ? AmmoSystem.getSlotAmmo(subject) : null;
+        const scope = AmmoSystem.getAmmoMeta(ammoItem).ammoScope;
+        if (!scope) {
+            return _Game_Action_makeTargets.apply(this, arguments);
+        }
+        const unit = this.opponentsUnit();
+        let targets = [];
+        if (scope.type === "all") {
+            targets = unit.aliveMembers();
+        } else {
+            for (let i = 0; i < scope.count; i++) {
+                targets.push(AmmoSystem.randomTarget(unit));
+            }
+        }
+        return this.repeatTargets(targets.filter(target => target));
+    };
+
+    const _Game_Action_numRepeats = Game_Action.prototype.numRepeats;
+    Game_Action.prototype.numRepeats = function() {
+        const multiShotCount = AmmoSystem.getAmmoMeta(this.item()).multiShot;
+        if (multiShotCount > 0 && AmmoSystem.isPerShotMultiShot(this.item()) && this.subject()) {
+            return AmmoSystem.getPerShotCount(this.subject(), this);
+        }
+        if (multiShotCount > 0) {
+            return 1;
+        }
+        return _Game_Action_numRepeats.apply(this, arguments);
+    };
+
+    // Per Target makes a per-shot skill pay for every shot at every target, so the shots are cut down
+    // to what the ammo left can pay for.
+    const _Game_Action_repeatTargets = Game_Action.prototype.repeatTargets;
+    Game_Action.prototype.repeatTargets = function(targets) {
+        const repeatedTargets = _Game_Action_repeatTargets.apply(this, arguments);
+        const subject = this.subject();
+        if (!subject || !AmmoSystem.isPerShotMultiShot(this.item())) return repeatedTargets;
+        const ammoItem = AmmoSystem.getSlotAmmo(subject);
+        if (!ammoItem || AmmoSystem.getConsumptionPolicy(this.item(), ammoItem).per !== "target") {
+            return repeatedTargets;
+        }
+        const cost = AmmoSystem.getAmmoCost(this.item());
+        if (cost <= 0) return repeatedTargets;
+        const affordable = Math.floor(AmmoSystem.getAvailableAmmoCount(subject, ammoItem) / cost);
+        return repeatedTargets.slice(0, Math.max(1, affordable));
+    };
+
+    const _Game_Action_itemHit = Game_Action.prototype.itemHit;
+    Game_Action.prototype.itemHit = function(target) {
+        const subject = this.subject();
+        if (subject && this.isSkill()) {
+            const strictAmmoValue = AmmoSystem.getAmmoMeta(this.item()).strictAmmo;
+            if (strictAmmoValue !== null) {
+                const weaponAmmoType = AmmoSystem.getWeaponAmmoType(subject);
+                if (weaponAmmoType && !AmmoSystem.hasValidAmmo(subject, weaponAmmoType)) {
+                    return strictAmmoValue / 100;
+                }
+            }
+        }
+        return _Game_Action_itemHit.apply(this, arguments);
+    };
+
+    const _Game_Action_evalDamageFormula = Game_Action.prototype.evalDamageFormula;
+    Game_Action.prototype.evalDamageFormula = function(target) {
+        const subject = this.subject();
+        if (!subject || !subject.isFiringAmmo(this) || !(subject._tempAmmoPierce > 0)) {
+            return _Game_Action_evalDamageFormula.apply(this, arguments);
+        }
+        target._ammoPierceRate = subject._tempAmmoPierce;
+        try {
+            return _Game_Action_evalDamageFormula.apply(this, arguments);
+        } finally {
+            target._ammoPierceRate = 0;
+        }
+    };
+
+    const _Game_Action_applyVariance = Game_Action.prototype.applyVariance;
+    Game_Action.prototype.applyVariance = function(damage, variance) {
+        const subject = this.subject();
+        if (subject && subject.isFiringAmmo(this) && subject._tempAmmoVariance !== null) {
+            variance = subject._tempAmmoVariance;
+        }
+        return _Game_Action_applyVariance.call(this, damage, variance);
+    };
+
+    const _Game_Action_makeDamageValue = Game_Action.prototype.makeDamageValue;
+    Game_Action.prototype.makeDamageValue = function(target, critical) {
+        const value = _Game_Action_makeDamageValue.apply(this, arguments);
+        const subject = this.subject();
+        if (subject && subject.isFiringAmmo(this)) {
+            const bonus = subject._tempAmmoTargetBonuses.reduce((sum, entry) => {
+                return sum + (target.isStateAffected(entry.stateId) ? entry.rate : 0);
+            }, 0);
+            const rate = subject._tempAmmoDmgRate * (1 + bonus);
+            if (rate !== 1) {
+                return Math.round(value * rate);
+            }
+        }
+        return value;
+    };
+
+    const _Game_Action_calcElementRate = Game_Action.prototype.calcElementRate;
+    Game_Action.prototype.calcElementRate = function(target) {
+        const subject = this.subject();
+        if (subject && subject.isFiringAmmo(this)) {
+            // Two ammo elements from dual wielding work like two weapon elements: the best rate wins.
+            const ammoElementIds = subject._tempAmmoElementIds.filter(elementId => elementId >= 0);
+            if (ammoElementIds.length > 0) {
+                return Math.max(...ammoElementIds.map(elementId => target.elementRate(elementId)));
+            }
+        }
+        return _Game_Action_calcElementRate.apply(this, arguments);
+    };
+
+    const _Game_Action_apply = Game_Action.prototype.apply;
+    Game_Action.prototype.apply = function(target) {
+        _Game_Action_apply.apply(this, arguments);
+
+        // Ammo states, effects and drain belong to the action that fired the ammo, never to a later one.
+        const subject = this.subject();
+        if (subject && subject.isFiringAmmo(this)) {
+            const isHit = target.result().isHit();
+            if (isHit) {
+                this.applyAmmoItemEffects(target);
+            }
+            if (isHit && subject._tempAmmoSplash > 0 && target.result().hpDamage > 0) {
+                this._ammoSplash = { target: target, damage: target.result().hpDamage };
+            }
+            if (isHit && subject._tempAmmoDrain > 0 && target.result().hpDamage > 0) {
+                this._ammoDrain = (this._ammoDrain || 0) + Math.floor(target.result().hpDamage * subject._tempAmmoDrain);
+            }
+            this.consumeActionAmmo(isHit);
+        }
+    };
+
+    // Ammo states, then ammo effects, on the targets their <AmmoEffectTarget> allows.
+    Game_Action.prototype.applyAmmoItemEffects = function(target) {
+        const subject = this.subject();
+        subject._tempAmmoStateInfo.forEach(stateInfo => {
+            if (target.isAlive() && AmmoSystem.isAmmoEffectTarget(subject, target, stateInfo.target)) {
+                if (AmmoSystem.random() < stateInfo.chance) {
+                    target.addState(stateInfo.id);
+                }
+            }
+        });
+        subject._tempAmmoItemEffects.forEach(entry => {
+            if ((target.isAlive() || this.isForDeadFriend()) && AmmoSystem.isAmmoEffectTarget(subject, target, entry.target)) {
+                this.applyItemEffect(target, entry.effect);
+            }
+        });
+    };
+
+    // Called once the hit's own results are logged, so the splash lines follow them.
+    Game_Action.prototype.applyAmmoSplash = function() {
+        const splash = this._ammoSplash;
+        this._ammoSplash = null;
+        const subject = this.subject();
+        if (!splash || !subject || !subject.isFiringAmmo(this)) return;
+        const value = Math.round(splash.damage * subject._tempAmmoSplash);
+        if (value <= 0) return;
+        const logWindow = BattleManager._logWindow;
+        splash.target.friendsUnit().aliveMembers().forEach(other => {
+            if (other === splash.target) return;
+            other.clearResult();
+            other.result().used = true;
+            other.gainHp(-value);
+            if (logWindow) {
+                logWindow.displayActionResults(subject, other);
+            }
+        });
+    };
+
+    // The user's <AmmoDrain> healing, shown after the target's results like the splash damage.
+    Game_Action.prototype.applyAmmoDrain = function() {
+        const value = this._ammoDrain || 0;
+        this._ammoDrain = 0;
+        const subject = this.subject();
+        if (value <= 0 || !subject || !subject.isAlive()) return;
+        subject.clearResult();
+        subject.result().used = true;
+        subject.gainHp(value);
+        const logWindow = BattleManager._logWindow;
+        if (logWindow) {
+            logWindow.displayActionResults(subject, subject);
+        }
+    };
+
+    Game_Action.prototype.consumeActionAmmo = function(isHit) {
+        const subject = this.subject();
+        subject._ammoToConsumeCounts.forEach((count, slot) => {
+            if (count > 0) {
+                AmmoSystem.withAmmoSlot(subject, slot, () => this.consumeSlotAmmo(slot, isHit));
+            }
+        });
+    };
+
+    // _ammoToConsumeCounts[slot] is what one payment costs. A per-action policy spends it on the first
+    // target; a per-shot MultiShot skill pays for each shot until its shots are used up.
+    Game_Action.prototype.consumeSlotAmmo = function(slot, isHit) {
+        const subject = this.subject();
+        const weaponAmmoType = AmmoSystem.getWeaponAmmoType(subject);
+        const ammoItem = AmmoSystem.getSlotAmmo(subject);
+        if (!ammoItem) {
+            subject._ammoToConsumeCounts[slot] = 0;
+            return;
+        }
+        const policy = AmmoSystem.getConsumptionPolicy(this.item(), ammoItem);
+        const isPerShot = AmmoSystem.isPerShotMultiShot(this.item());
+        const count = subject._ammoToConsumeCounts[slot];
+
+        if (AmmoSystem.isConsumedOn(policy.timing, isHit)) {
+            AmmoSystem.consumeAmmo(subject, ammoItem, count, isHit);
+            // A thrown weapon may have left the slot, so it is counted directly.
+            const isDepleted = AmmoSystem.isThrownWeapon(ammoItem) ?
+                AmmoSystem.getAvailableAmmoCount(subject, ammoItem) <= 0 :
+                !AmmoSystem.hasValidAmmo(subject, weaponAmmoType);
+            if (isDepleted) {
+                if (subject.isActor() && AmmoSystem._showOutOfAmmoPopup) {
+                    subject.requestAmmoPopup();
+                }
+                AmmoSystem.addBattleLogLine(AmmoSystem._ammoOutMessage, subject.name());
+                AmmoSystem.onAmmoDepleted(subject, ammoItem, weaponAmmoType);
+            }
+            BattleManager.refreshStatus();
+        }
+
+        if (isPerShot) {
+            // Per Action pays for one volley; Per Target keeps paying for the shots at every target.
+            if (policy.per === "action") {
+                subject._ammoShotsLeft--;
+                if (subject._ammoShotsLeft <= 0) {
+                    subject._ammoToConsumeCounts[slot] = 0;
+                }
+            }
+        } else if (policy.per === "action") {
+            subject._ammoToConsumeCounts[slot] = 0; // Consume only once per action
+        }
+    };
+    
+    // --- Window_BattleLog Hook ---
+    
+    const _Window_BattleLog_showAnimation = Window_BattleLog.prototype.showAnimation;
+    Window_BattleLog.prototype.showAnimation = function(subject, targets, animationId) {
+        const action = BattleManager._action;
+        // If the current action has our override property, use it instead.
+        if (action && action._overrideAnimationId > 0) {
+            animationId = action._overrideAnimationId;
+        }
+        _Window_BattleLog_showAnimation.call(this, subject, targets, animationId);
+    };
+
+    const _BattleManager_endBattle = BattleManager.endBattle;
+    BattleManager.endBattle = function() {
+        _BattleManager_endBattle.apply(this, arguments);
+        $gameParty.members().forEach(actor => {
+            actor._battleWeapons = [];
+            actor._originalWeaponData = [];
+            actor._ammoSwitchedToId = 0;
+            actor.resetAmmoEffects();
+        });
+    };
+
+    // --- Window_BattleStatus Hooks ---
+
+    const _Window_BattleStatus_drawItemStatus = Window_BattleStatus.prototype.drawItemStatus;
+    Window_BattleStatus.prototype.drawItemStatus = function(index) {
+        _Window_BattleStatus_drawItemStatus.apply(this, arguments);
+        this.drawItemAmmo(index);
+    };
+
+    // Drawn at the right end of the name row, clear of the state icon in the top corner.
+    Window_BattleStatus.prototype.drawItemAmmo = function(index) {
+        const actor = this.actor(index);
+        if (!AmmoSystem.firesTrackedAmmo(actor)) return;
+        const ammoType = AmmoSystem.getWeaponAmmoType(actor);
+
+        const clipSize = AmmoSystem.getClipSize(actor);
+        const ammoItem = AmmoSystem.getDisplayedAmmo(actor, ammoType);
+        const count = clipSize > 0 || ammoItem ? AmmoSystem.getAvailableAmmoCount(actor, ammoItem) : 0;
+        const text = clipSize > 0 ? `${count}/${clipSize}` : String(count);
+        const rect = this.itemRectWithPadding(index);
+        const y = this.nameY(rect);
+
+        this.contents.fontSize = $gameSystem.mainFontSize() - 6;
+        const textWidth = this.textWidth(text);
+        this.changeTextColor(AmmoSystem.getAmmoCountColor(actor, count));
+        this.drawText(text, rect.x, y, rect.width, "right");
+        if (ammoItem) {
+            const iconX = rect.x + rect.width - textWidth - ImageManager.iconWidth - 4;
+            this.drawIcon(ammoItem.iconIndex, iconX, y + 2);
+        }
+        this.resetFontSettings();
+    };
+
+    const _Window_BattleStatus_update = Window_BattleStatus.prototype.update;
+    Window_BattleStatus.prototype.update = function() {
+        _Window_BattleStatus_update.apply(this, arguments);
+        this.updateAmmoPopups();
+    };
+
+    Window_BattleStatus.prototype.updateAmmoPopups = function() {
+        if (!this._ammoPopups) {
+            this._ammoPopups = [];
+        }
+        $gameParty.battleMembers().forEach((actor, index) => {
+            if (actor.isAmmoPopupRequested()) {
+                actor.clearAmmoPopup();
+                this.createAmmoPopup(index);
+            }
+        });
+        for (const popup of this._ammoPopups.filter(p => !p.isPlaying())) {
+            popup.parent.removeChild(popup);
+            this._ammoPopups.remove(popup);
+        }
+    };
+
+    Window_BattleStatus.prototype.createAmmoPopup = function(index) {
+        const rect = this.itemRect(index);
+        const popup = new Sprite_AmmoPopup(AmmoSystem._outOfAmmoPopupText);
+        popup.x = rect.x + rect.width / 2;
+        popup.y = rect.y + rect.height / 2;
+        this.addInnerChild(popup);
+        this._ammoPopups.push(popup);
+    };
+
+    // --- Sprite_AmmoPopup ---
+
+    function Sprite_AmmoPopup() {
+        this.initialize(...arguments);
+    }
+
+    Sprite_AmmoPopup.prototype = Object.create(Sprite.prototype);
+    Sprite_AmmoPopup.prototype.constructor = Sprite_AmmoPopup;
+
+    Sprite_AmmoPopup.prototype.initialize = function(text) {
+        Sprite.prototype.initialize.call(this);
+        this._duration = 90;
+        this.bitmap = new Bitmap(240, 40);
+        this.bitmap.fontFace = $gameSystem.mainFontFace();
+        this.bitmap.fontSize = $gameSystem.mainFontSize();
+        this.bitmap.textColor = ColorManager.crisisColor();
+        this.bitmap.drawText(text, 0, 0, 240, 40, "center");
+        this.anchor.x = 0.5;
+        this.anchor.y = 0.5;
+    };
+
+    Sprite_AmmoPopup.prototype.update = function() {
+        Sprite.prototype.update.call(this);
+        if (this._duration > 0) {
+            this._duration--;
+            this.y -= 0.5;
+            if (this._duration < 30) {
+                this.opacity = (255 * this._duration) / 30;
+            }
+        }
+    };
+
+    Sprite_AmmoPopup.prototype.isPlaying = function() {
+        return this._duration > 0;
+    };
+
+    // --- Window_SkillList Hooks ---
+
+    Window_SkillList.prototype.ammoCostWidth = function() {
+        return ImageManager.iconWidth + this.textWidth("×00") + 4;
+    };
+
+    Window_SkillList.prototype.hasAmmoCosts = function() {
+        return !!this._actor && this._data.some(skill => AmmoSystem.isAmmoSkill(skill));
+    };
+
+    const _Window_SkillList_costWidth = Window_SkillList.prototype.costWidth;
+    Window_SkillList.prototype.costWidth = function() {
+        const width = _Window_SkillList_costWidth.apply(this, arguments);
+        return this.hasAmmoCosts() ? width + this.ammoCostWidth() : width;
+    };
+
+    const _Window_SkillList_drawSkillCost = Window_SkillList.prototype.drawSkillCost;
+    // Every row keeps the ammo column free, so MP and TP costs line up whether the skill uses ammo or not.
+    Window_SkillList.prototype.drawSkillCost = function(skill, x, y, width) {
+        const actor = this._actor;
+        if (!this.hasAmmoCosts()) {
+            _Window_SkillList_drawSkillCost.apply(this, arguments);
+            return;
+        }
+        const ammoWidth = this.ammoCostWidth();
+        _Window_SkillList_drawSkillCost.call(this, skill, x, y, width - ammoWidth);
+        if (!AmmoSystem.isAmmoSkill(skill) || !AmmoSystem.firesTrackedAmmo(actor)) return;
+
+        const ammoType = AmmoSystem.getWeaponAmmoType(actor);
+
+        const ammoX = x + width - ammoWidth;
+        const hasAmmo = AmmoSystem.hasValidAmmo(actor, ammoType);
+        if (!hasAmmo && AmmoSystem.getAmmoMeta(skill).strictAmmo !== null) {
+            this.changeTextColor(ColorManager.powerDownColor());
+            this.drawText(AmmoSystem._weakenedSkillText, ammoX, y, ammoWidth, "right");
+            this.resetTextColor();
+            return;
+        }
+        const ammoItem = AmmoSystem.getDisplayedAmmo(actor, ammoType);
+        if (ammoItem) {
+            this.drawIcon(ammoItem.iconIndex, ammoX, y + 2);
+        }
+        this.changeTextColor(hasAmmo ? ColorManager.normalColor() : ColorManager.deathColor());
+        this.drawText(`×${AmmoSystem.getSkillAmmoUse(skill)}`, ammoX, y, ammoWidth, "right");
+        this.resetTextColor();
+    };
+
+    Window_SkillList.prototype.setAmmoPreviewWindow = function(previewWindow) {
+        this._ammoPreviewWindow = previewWindow;
+    };
+
+    const _Window_SkillList_updateHelp = Window_SkillList.prototype.updateHelp;
+    Window_SkillList.prototype.updateHelp = function() {
+        _Window_SkillList_updateHelp.apply(this, arguments);
+        const previewWindow = this._ammoPreviewWindow;
+        if (!previewWindow) return;
+        const skill = this.item();
+        const isAmmoSkill = this._actor && AmmoSystem.isAmmoSkill(skill);
+        const ammoItem = isAmmoSkill ? AmmoSystem.getDisplayedAmmo(this._actor, AmmoSystem.getWeaponAmmoType(this._actor)) : null;
+        if (ammoItem && this.visible) {
+            previewWindow.setPreview(this._actor, skill, ammoItem);
+            previewWindow.show();
+        } else {
+            previewWindow.hide();
+        }
+    };
+
+    const _Window_BattleSkill_hide = Window_BattleSkill.prototype.hide;
+    Window_BattleSkill.prototype.hide = function() {
+        if (this._ammoPreviewWindow) this._ammoPreviewWindow.hide();
+        _Window_BattleSkill_hide.apply(this, arguments);
+    };
+
+    // --- Window_AmmoSelect ---
+
+    function Window_AmmoSelect() {
+        this.initialize(...arguments);
+    }
+
+    Window_AmmoSelect.prototype = Object.create(Window_ItemList.prototype);
+    Window_AmmoSelect.prototype.constructor = Window_AmmoSelect;
+
+    Window_AmmoSelect.prototype.initialize = function(rect) {
+        Window_ItemList.prototype.initialize.call(this, rect);
+        this._actor = null;
+        this._ammoTypes = [];
+    };
+
+    // A dual wielder's list holds the ammo of both weapons, main hand first.
+    Window_AmmoSelect.prototype.setActor = function(actor) {
+        this._actor = actor;
+        this._ammoTypes = actor ? AmmoSystem.getBattlerAmmoTypes(actor) : [];
+        this.refresh();
+        this.scrollTo(0, 0);
+    };
+
+    // The ammo type the selected item is chosen for.
+    Window_AmmoSelect.prototype.ammoType = function() {
+        const item = this.item();
+        return this._ammoTypes.find(ammoType => AmmoSystem.isAmmoOfType(item, ammoType)) || this._ammoTypes[0] || null;
+    };
+
+    Window_AmmoSelect.prototype.maxCols = function() {
+        return 1;
+    };
+
+    Window_AmmoSelect.prototype.includes = function(item) {
+        return this._ammoTypes.some(ammoType => AmmoSystem.isAmmoOfType(item, ammoType));
+    };
+
+    Window_AmmoSelect.prototype.isEnabled = function(item) {
+        return !!item;
+    };
+
+    Window_AmmoSelect.prototype.selectLast = function() {
+        const selectedId = AmmoSystem.getSelectedAmmoId(this._actor, this._ammoTypes[0]);
+        const index = this._data.findIndex(item => item && item.id === selectedId);
+        this.forceSelect(index >= 0 ? index : 0);
+    };
+
+    Window_AmmoSelect.prototype.drawItem = function(index) {
+        const item = this.itemAt(index);
+        if (item) {
+            const rect = this.itemLineRect(index);
+            const nameWidth = Math.floor(rect.width * 0.4);
+            const statsX = rect.x + nameWidth + this.itemPadding();
+            const statsWidth = rect.width - nameWidth - this.numberWidth() - this.itemPadding() * 2;
+            this.changePaintOpacity(this.isEnabled(item));
+            this.drawItemName(item, rect.x, rect.y, nameWidth);
+            this.changeTextColor(ColorManager.systemColor());
+            this.drawText(AmmoSystem.getAmmoStatsText(item), statsX, rect.y, statsWidth);
+            this.resetTextColor();
+            this.drawItemNumber(item, rect.x, rect.y, rect.width);
+            this.changePaintOpacity(1);
+        }
+    };
+
+    Window_AmmoSelect.prototype.show = function() {
+        this.selectLast();
+        this.showHelpWindow();
+        if (this._previewWindow) this._previewWindow.show();
+        Window_ItemList.prototype.show.call(this);
+    };
+
+    Window_AmmoSelect.prototype.hide = function() {
+        this.hideHelpWindow();
+        if (this._previewWindow) this._previewWindow.hide();
+        Window_ItemList.prototype.hide.call(this);
+    };
+
+    Window_AmmoSelect.prototype.setPreviewWindow = function(previewWindow) {
+        this._previewWindow = previewWindow;
+        this.callUpdateHelp();
+    };
+
+    // The ammo list previews the actor's basic attack.
+    Window_AmmoSelect.prototype.updateHelp = function() {
+        Window_ItemList.prototype.updateHelp.call(this);
+        if (this._previewWindow && this._actor) {
+            this._previewWindow.setPreview(this._actor, $dataSkills[this._actor.attackSkillId()], this.item());
+        }
+    };
+
+    // --- Window_AmmoPreview ---
+
+    function Window_AmmoPreview() {
+        this.initialize(...arguments);
+    }
+
+    Window_AmmoPreview.prototype = Object.create(Window_Base.prototype);
+    Window_AmmoPreview.prototype.constructor = Window_AmmoPreview;
+
+    Window_AmmoPreview.prototype.initialize = function(rect) {
+        Window_Base.prototype.initialize.call(this, rect);
+        this._actor = null;
+        this._skill = null;
+        this._ammoItem = null;
+    };
+
+    Window_AmmoPreview.prototype.setPreview = function(actor, skill, ammoItem) {
+        // Refreshed every time, since the rounds left change between battle turns.
+        this._actor = actor;
+        this._skill = skill;
+        this._ammoItem = ammoItem;
+        this.refresh();
+    };
+
+    Window_AmmoPreview.prototype.refresh = function() {
+        this.contents.clear();
+        if (!this._actor || !this._skill || !this._ammoItem) return;
+        // Off-hand ammo is previewed with the off-hand weapon's ranged bonuses.
+        const slot = AmmoSystem.getAmmoSlotForItem(this._actor, this._ammoItem);
+        const effects = AmmoSystem.withAmmoSlot(this._actor, slot, () => {
+            return AmmoSystem.computeAmmoEffects(this._actor, this._skill, this._ammoItem);
+        });
+        const width = this.innerWidth;
+        AmmoSystem.getAmmoEffectsText(effects).forEach((text, index) => {
+            this.changeTextColor(index === 0 ? ColorManager.normalColor() : ColorManager.systemColor());
+            this.drawText(text, 0, this.lineHeight() * index, width);
+        });
+        this.resetTextColor();
+    };
+
+    // --- Window_ActorCommand Hooks ---
+
+    const _Window_ActorCommand_makeCommandList = Window_ActorCommand.prototype.makeCommandList;
+    Window_ActorCommand.prototype.makeCommandList = function() {
+        _Window_ActorCommand_makeCommandList.apply(this, arguments);
+        if (this._actor) {
+            this.addAmmoCommand();
+        }
+    };
+
+    Window_ActorCommand.prototype.addAmmoCommand = function() {
+        const ammoTypes = AmmoSystem.getBattlerAmmoTypes(this._actor).filter(ammoType => {
+            return AmmoSystem.getVariableIdForAmmoType(ammoType);
+        });
+        if (ammoTypes.length > 0) {
+            const enabled = ammoTypes.some(ammoType => AmmoSystem.getAmmoItemsForType(ammoType).length > 0);
+            this.addCommand(AmmoSystem._ammoCommandName, "ammo", enabled);
+        }
+    };
+
+    // --- Scene_Battle Hooks ---
+
+    const _Scene_Battle_createActorCommandWindow = Scene_Battle.prototype.createActorCommandWindow;
+    Scene_Battle.prototype.createActorCommandWindow = function() {
+        _Scene_Battle_createActorCommandWindow.apply(this, arguments);
+        this._actorCommandWindow.setHandler("ammo", this.commandAmmo.bind(this));
+    };
+
+    const _Scene_Battle_createItemWindow = Scene_Battle.prototype.createItemWindow;
+    Scene_Battle.prototype.createItemWindow = function() {
+        _Scene_Battle_createItemWindow.apply(this, arguments);
+        this.createAmmoWindow();
+    };
+
+    Scene_Battle.prototype.createAmmoWindow = function() {
+        const rect = this.itemWindowRect();
+        this._ammoWindow = new Window_AmmoSelect(rect);
+        this._ammoWindow.setHelpWindow(this._helpWindow);
+        this._ammoWindow.setHandler("ok", this.onAmmoOk.bind(this));
+        this._ammoWindow.setHandler("cancel", this.onAmmoCancel.bind(this));
+        this._ammoWindow.hide();
+        this.addWindow(this._ammoWindow);
+        this.createAmmoPreviewWindow();
+    };
+
+    Scene_Battle.prototype.createAmmoPreviewWindow = function() {
+        this._ammoPreviewWindow = new Window_AmmoPreview(this.ammoPreviewWindowRect());
+        this._ammoPreviewWindow.hide();
+        this.addWindow(this._ammoPreviewWindow);
+        this._ammoWindow.setPreviewWindow(this._ammoPreviewWindow);
+        this._skillWindow.setAmmoPreviewWindow(this._ammoPreviewWindow);
+    };
+
+    // Sits right on top of the skill and ammo lists.
+    Scene_Battle.prototype.ammoPreviewWindowRect = function() {
+        const itemRect = this.itemWindowRect();
+        const wh = this.calcWindowHeight(2, false);
+        return new Rectangle(itemRect.x, itemRect.y - wh, itemRect.width, wh);
+    };
+
+    const _Scene_Battle_isAnyInputWindowActive = Scene_Battle.prototype.isAnyInputWindowActive;
+    Scene_Battle.prototype.isAnyInputWindowActive = function() {
+        return _Scene_Battle_isAnyInputWindowActive.apply(this, arguments) || this._ammoWindow.active;
+    };
+
+    const _Scene_Battle_hideSubInputWindows = Scene_Battle.prototype.hideSubInputWindows;
+    Scene_Battle.prototype.hideSubInputWindows = function() {
+        _Scene_Battle_hideSubInputWindows.apply(this, arguments);
+        this._ammoWindow.deactivate();
+        this._ammoWindow.hide();
+        this._ammoPreviewWindow.hide();
+    };
+
+    Scene_Battle.prototype.commandAmmo = function() {
+        this._ammoWindow.setActor(BattleManager.actor());
+        this._ammoWindow.show();
+        this._ammoWindow.activate();
+        this._statusWindow.hide();
+        this._actorCommandWindow.hide();
+    };
+
+    Scene_Battle.prototype.onAmmoOk = function() {
+        const actor = BattleManager.actor();
+        AmmoSystem.setSelectedAmmo(actor, this._ammoWindow.ammoType(), this._ammoWindow.item());
+        this._ammoWindow.hide();
+        if (AmmoSystem._ammoSwapCostsTurn) {
+            // An empty action is skipped by BattleManager, so the actor just loses its turn.
+            actor.inputtingAction().clear();
+            this.selectNextCommand();
+        } else {
+            this._statusWindow.show();
+            this._actorCommandWindow.refresh();
+            this._actorCommandWindow.show();
+            this._actorCommandWindow.activate();
+        }
+    };
+
+    Scene_Battle.prototype.onAmmoCancel = function() {
+        this._ammoWindow.hide();
+        this._statusWindow.show();
+        this._actorCommandWindow.show();
+        this._actorCommandWindow.activate();
+    };
+
+    // --- Scene_AmmoLoadout ---
+
+    function Scene_AmmoLoadout() {
+        this.initialize(...arguments);
+    }
+
+    Scene_AmmoLoadout.prototype = Object.create(Scene_MenuBase.prototype);
+    Scene_AmmoLoadout.prototype.constructor = Scene_AmmoLoadout;
+
+    Scene_AmmoLoadout.prototype.create = function() {
+        Scene_MenuBase.prototype.create.call(this);
+        this.createHelpWindow();
+        this.createStatusWindow();
+        this.createPreviewWindow();
+        this.createAmmoWindow();
+    };
+
+    Scene_AmmoLoadout.prototype.start = function() {
+        Scene_MenuBase.prototype.start.call(this);
+        this.refreshActor();
+    };
+
+    Scene_AmmoLoadout.prototype.createStatusWindow = function() {
+        const rect = this.statusWindowRect();
+        this._statusWindow = new Window_SkillStatus(rect);
+        this.addWindow(this._statusWindow);
+    };
+
+    Scene_AmmoLoadout.prototype.statusWindowRect = function() {
+        const ww = Graphics.boxWidth;
+        const wh = this.calcWindowHeight(3, true);
+        const wx = 0;
+        const wy = this.mainAreaTop();
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_AmmoLoadout.prototype.createPreviewWindow = function() {
+        const rect = this.previewWindowRect();
+        this._previewWindow = new Window_AmmoPreview(rect);
+        this.addWindow(this._previewWindow);
+    };
+
+    Scene_AmmoLoadout.prototype.previewWindowRect = function() {
+        const ww = Graphics.boxWidth;
+        const wh = this.calcWindowHeight(2, false);
+        const wx = 0;
+        const wy = this._statusWindow.y + this._statusWindow.height;
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_AmmoLoadout.prototype.createAmmoWindow = function() {
+        const rect = this.ammoWindowRect();
+        this._ammoWindow = new Window_AmmoSelect(rect);
+        this._ammoWindow.setHelpWindow(this._helpWindow);
+        this._ammoWindow.setHandler("ok", this.onAmmoOk.bind(this));
+        this._ammoWindow.setHandler("cancel", this.popScene.bind(this));
+        this._ammoWindow.setHandler("pagedown", this.nextActor.bind(this));
+        this._ammoWindow.setHandler("pageup", this.previousActor.bind(this));
+        this._ammoWindow.setPreviewWindow(this._previewWindow);
+        this.addWindow(this._ammoWindow);
+    };
+
+    Scene_AmmoLoadout.prototype.ammoWindowRect = function() {
+        const wx = 0;
+        const wy = this._previewWindow.y + this._previewWindow.height;
+        const ww = Graphics.boxWidth;
+        const wh = this.mainAreaBottom() - wy;
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_AmmoLoadout.prototype.needsPageButtons = function() {
+        return true;
+    };
+
+    Scene_AmmoLoadout.prototype.refreshActor = function() {
+        const actor = this.actor();
+        this._statusWindow.setActor(actor);
+        this._ammoWindow.setActor(actor);
+        this._ammoWindow.selectLast();
+        this._ammoWindow.activate();
+    };
+
+    Scene_AmmoLoadout.prototype.onActorChange = function() {
+        Scene_MenuBase.prototype.onActorChange.call(this);
+        this.refreshActor();
+    };
+
+    Scene_AmmoLoadout.prototype.onAmmoOk = function() {
+        AmmoSystem.setSelectedAmmo(this.actor(), this._ammoWindow.ammoType(), this._ammoWindow.item());
+        this._ammoWindow.refresh();
+        this._ammoWindow.activate();
+    };
+
+    // --- Window_AmmoRecipeList ---
+
+    function Window_AmmoRecipeList() {
+        this.initialize(...arguments);
+    }
+
+    Window_AmmoRecipeList.prototype = Object.create(Window_Selectable.prototype);
+    Window_AmmoRecipeList.prototype.constructor = Window_AmmoRecipeList;
+
+    Window_AmmoRecipeList.prototype.initialize = function(rect) {
+        Window_Selectable.prototype.initialize.call(this, rect);
+        this._data = [];
+        this._resultItemIds = null;
+        this._infoWindow = null;
+    };
+
+    Window_AmmoRecipeList.prototype.setResultItemIds = function(resultItemIds) {
+        this._resultItemIds = resultItemIds;
+        this.refresh();
+    };
+
+    Window_AmmoRecipeList.prototype.setInfoWindow = function(infoWindow) {
+        this._infoWindow = infoWindow;
+        this.callUpdateHelp();
+    };
+
+    Window_AmmoRecipeList.prototype.maxItems = function() {
+        return this._data.length;
+    };
+
+    Window_AmmoRecipeList.prototype.recipe = function() {
+        return this._data[this.index()] || null;
+    };
+
+    Window_AmmoRecipeList.prototype.isCurrentItemEnabled = function() {
+        const recipe = this.recipe();
+        return !!recipe && AmmoSystem.canCraftRecipe(recipe);
+    };
+
+    Window_AmmoRecipeList.prototype.makeItemList = function() {
+        this._data = AmmoSystem.getAmmoRecipes(this._resultItemIds).filter(recipe => {
+            return AmmoSystem._showUnaffordableRecipes || AmmoSystem.canCraftRecipe(recipe);
+        });
+    };
+
+    Window_AmmoRecipeList.prototype.drawItem = function(index) {
+        const recipe = this._data[index];
+        if (recipe) {
+            const rect = this.itemLineRect(index);
+            const countWidth = this.textWidth("×000");
+            this.changePaintOpacity(AmmoSystem.canCraftRecipe(recipe));
+            this.drawItemName(recipe.item, rect.x, rect.y, rect.width - countWidth);
+            this.drawText(`×${recipe.count}`, rect.x, rect.y, rect.width, "right");
+            this.changePaintOpacity(1);
+        }
+    };
+
+    Window_AmmoRecipeList.prototype.updateHelp = function() {
+        const recipe = this.recipe();
+        this.setHelpWindowItem(recipe ? recipe.item : null);
+        if (this._infoWindow) {
+            this._infoWindow.setRecipe(recipe);
+        }
+    };
+
+    Window_AmmoRecipeList.prototype.refresh = function() {
+        this.makeItemList();
+        Window_Selectable.prototype.refresh.call(this);
+        if (this.index() >= this.maxItems()) {
+            this.select(this.maxItems() - 1);
+        }
+        this.callUpdateHelp();
+    };
+
+    // --- Window_AmmoRecipeInfo ---
+
+    function Window_AmmoRecipeInfo() {
+        this.initialize(...arguments);
+    }
+
+    Window_AmmoRecipeInfo.prototype = Object.create(Window_Base.prototype);
+    Window_AmmoRecipeInfo.prototype.constructor = Window_AmmoRecipeInfo;
+
+    Window_AmmoRecipeInfo.prototype.initialize = function(rect) {
+        Window_Base.prototype.initialize.call(this, rect);
+        this._recipe = null;
+    };
+
+    Window_AmmoRecipeInfo.prototype.setRecipe = function(recipe) {
+        if (this._recipe !== recipe) {
+            this._recipe = recipe;
+            this.refresh();
+        }
+    };
+
+    Window_AmmoRecipeInfo.prototype.refresh = function() {
+        this.contents.clear();
+        const recipe = this._recipe;
+        if (!recipe) return;
+
+        const lineHeight = this.lineHeight();
+        const width = this.innerWidth;
+        this.drawItemName(recipe.item, 0, 0, width);
+        this.drawText(`×${recipe.count}`, 0, 0, width, "right");
+        this.changeTextColor(ColorManager.systemColor());
+        this.drawText(AmmoSystem.getAmmoStatsText(recipe.item), 0, lineHeight, width);
+        this.drawText(AmmoSystem._craftMaterialsLabel, 0, lineHeight * 3, width);
+        this.resetTextColor();
+
+        recipe.ingredients.forEach((ingredient, i) => {
+            const y = lineHeight * (4 + i);
+            const owned = $gameParty.numItems(ingredient.item);
+            this.changePaintOpacity(owned >= ingredient.count);
+            this.drawItemName(ingredient.item, 0, y, width);
+            this.drawText(`${owned}/${ingredient.count}`, 0, y, width, "right");
+            this.changePaintOpacity(true);
+        });
+    };
+
+    // --- Scene_AmmoCraft ---
+
+    function Scene_AmmoCraft() {
+        this.initialize(...arguments);
+    }
+
+    Scene_AmmoCraft.prototype = Object.create(Scene_MenuBase.prototype);
+    Scene_AmmoCraft.prototype.constructor = Scene_AmmoCraft;
+
+    Scene_AmmoCraft.prototype.prepare = function(resultItemIds) {
+        this._resultItemIds = resultItemIds && resultItemIds.length > 0 ? resultItemIds : null;
+    };
+
+    Scene_AmmoCraft.prototype.create = function() {
+        Scene_MenuBase.prototype.create.call(this);
+        this.createHelpWindow();
+        this.createInfoWindow();
+        this.createRecipeWindow();
+    };
+
+    Scene_AmmoCraft.prototype.createInfoWindow = function() {
+        const rect = this.infoWindowRect();
+        this._infoWindow = new Window_AmmoRecipeInfo(rect);
+        this.addWindow(this._infoWindow);
+    };
+
+    Scene_AmmoCraft.prototype.infoWindowRect = function() {
+        const ww = Graphics.boxWidth - this.recipeWindowWidth();
+        const wh = this.mainAreaHeight();
+        const wx = this.isRightInputMode() ? 0 : Graphics.boxWidth - ww;
+        const wy = this.mainAreaTop();
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_AmmoCraft.prototype.createRecipeWindow = function() {
+        const rect = this.recipeWindowRect();
+        this._recipeWindow = new Window_AmmoRecipeList(rect);
+        this._recipeWindow.setHelpWindow(this._helpWindow);
+        this._recipeWindow.setInfoWindow(this._infoWindow);
+        this._recipeWindow.setHandler("ok", this.onRecipeOk.bind(this));
+        this._recipeWindow.setHandler("cancel", this.popScene.bind(this));
+        this._recipeWindow.setResultItemIds(this._resultItemIds || null);
+        this._recipeWindow.select(0);
+        this._recipeWindow.activate();
+        this.addWindow(this._recipeWindow);
+    };
+
+    Scene_AmmoCraft.prototype.recipeWindowRect = function() {
+        const ww = this.recipeWindowWidth();
+        const wh = this.mainAreaHeight();
+        const wx = this.isRightInputMode() ? Graphics.boxWidth - ww : 0;
+        const wy = this.mainAreaTop();
+        return new Rectangle(wx, wy, ww, wh);
+    };
+
+    Scene_AmmoCraft.prototype.recipeWindowWidth = function() {
+        return Math.floor(Graphics.boxWidth / 2);
+    };
+
+    Scene_AmmoCraft.prototype.onRecipeOk = function() {
+        AmmoSystem.craftRecipe(this._recipeWindow.recipe());
+        SoundManager.playUseItem();
+        this._recipeWindow.refresh();
+        this._infoWindow.refresh();
+        this._recipeWindow.activate();
+    };
+
+    // --- Main Menu Hooks ---
+
+    const _Window_MenuCommand_addOriginalCommands = Window_MenuCommand.prototype.addOriginalCommands;
+    Window_MenuCommand.prototype.addOriginalCommands = function() {
+        _Window_MenuCommand_addOriginalCommands.apply(this, arguments);
+        if (AmmoSystem._showAmmoMenuCommand) {
+            this.addCommand(AmmoSystem._ammoMenuCommandName, "ammo", this.areMainCommandsEnabled());
+        }
+    };
+
+    const _Scene_Menu_createCommandWindow = Scene_Menu.prototype.createCommandWindow;
+    Scene_Menu.prototype.createCommandWindow = function() {
+        _Scene_Menu_createCommandWindow.apply(this, arguments);
+        this._commandWindow.setHandler("ammo", this.commandPersonal.bind(this));
+    };
+
+    const _Scene_Menu_onPersonalOk = Scene_Menu.prototype.onPersonalOk;
+    Scene_Menu.prototype.onPersonalOk = function() {
+        if (this._commandWindow.currentSymbol() === "ammo") {
+            SceneManager.push(Scene_AmmoLoadout);
+        } else {
+            _Scene_Menu_onPersonalOk.apply(this, arguments);
+        }
+    };
+
+    // --- Game_Party Modifications ---
+
+    // Lowering maxItems also limits the shop's buy quantity to the free capacity.
+    const _Game_Party_maxItems = Game_Party.prototype.maxItems;
+    Game_Party.prototype.maxItems = function(item) {
+        const max = _Game_Party_maxItems.apply(this, arguments);
+        const room = AmmoSystem.getAmmoRoom(item);
+        return room === null ? max : Math.min(max, this.numItems(item) + room);
+    };
+
+    const _Game_Party_gainItem = Game_Party.prototype.gainItem;
+    Game_Party.prototype.gainItem = function(item, amount, includeEquip) {
+        const room = amount > 0 ? AmmoSystem.getAmmoRoom(item) : null;
+        if (room !== null && amount > room) {
+            amount = AmmoSystem.handleAmmoOverflow(item, amount, room);
+            if (amount <= 0) return;
+        }
+        _Game_Party_gainItem.call(this, item, amount, includeEquip);
+    };
+
+    // Ammo over capacity kept aside when Ammo Overflow is Send to Storage, by item ID.
+    Game_Party.prototype.ammoStorage = function() {
+        if (!this._ammoStorage) {
+            this._ammoStorage = {};
+        }
+        return this._ammoStorage;
+    };
+
+    Game_Party.prototype.storedAmmoCount = function(item) {
+        return item ? this.ammoStorage()[item.id] || 0 : 0;
+    };
+
+    Game_Party.prototype.storeAmmo = function(item, amount) {
+        if (!item || amount <= 0) return;
+        this.ammoStorage()[item.id] = this.storedAmmoCount(item) + amount;
+    };
+
+    // Returns the number of rounds moved back into the inventory.
+    Game_Party.prototype.withdrawStoredAmmo = function(item) {
+        const amount = Math.min(this.storedAmmoCount(item), this.maxItems(item) - this.numItems(item));
+        if (amount <= 0) return 0;
+        const left = this.storedAmmoCount(item) - amount;
+        if (left > 0) {
+            this.ammoStorage()[item.id] = left;
+        } else {
+            delete this.ammoStorage()[item.id];
+        }
+        _Game_Party_gainItem.call(this, item, amount);
+        return amount;
+    };
+
+    // --- Window_ShopStatus Hooks ---
+
+    const _Window_ShopStatus_drawPossession = Window_ShopStatus.prototype.drawPossession;
+    Window_ShopStatus.prototype.drawPossession = function(x, y) {
+        _Window_ShopStatus_drawPossession.apply(this, arguments);
+        const info = AmmoSystem.getAmmoCapacityInfo(this._item);
+        if (info) {
+            const width = this.innerWidth - this.itemPadding() - x;
+            const capacityY = y + this.lineHeight();
+            this.changeTextColor(ColorManager.systemColor());
+            this.drawText(AmmoSystem._ammoCapacityLabel, x, capacityY, width);
+            this.changeTextColor(info.count >= info.max ? ColorManager.crisisColor() : ColorManager.normalColor());
+            this.drawText(`${info.count} / ${info.max}`, x, capacityY, width, "right");
+            this.resetTextColor();
+        }
+    };
+
+    // --- Game_System Modifications ---
+
+    Game_System.prototype.isAmmoConsumptionLocked = function() {
+        return !!this._ammoConsumptionLocked;
+    };
+
+    Game_System.prototype.setAmmoConsumptionLocked = function(locked) {
+        this._ammoConsumptionLocked = locked;
+    };
+
+    // --- Plugin Commands ---
+
+    AmmoSystem.getCommandActors = function(actorId) {
+        const id = Number(actorId || 0);
+        if (id > 0) {
+            const actor = $gameActors.actor(id);
+            return actor ? [actor] : [];
+        }
+        return $gameParty.members();
+    };
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "SetAmmo", args => {
+        const ammoItem = $dataItems[Number(args.itemId || 0)] || null;
+        const ammoType = String(args.ammoType || '');
+        // Members whose weapons cannot fire the item keep their own selection.
+        AmmoSystem.getCommandActors(args.actorId).forEach(actor => {
+            const types = ammoType ? [ammoType] : AmmoSystem.getBattlerAmmoTypes(actor);
+            const type = ammoItem ? types.find(entry => AmmoSystem.isAmmoOfType(ammoItem, entry)) : types[0];
+            if (type) {
+                AmmoSystem.setSelectedAmmo(actor, type, ammoItem);
+            }
+        });
+        if (Number(args.actorId || 0) === 0) {
+            const defaultType = ammoType || AmmoSystem.getAmmoMeta(ammoItem).ammoType;
+            AmmoSystem.setSelectedAmmo(null, defaultType, ammoItem);
+        }
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "AutoSelectAmmo", args => {
+        const ammoType = String(args.ammoType || '');
+        AmmoSystem.getCommandActors(args.actorId).forEach(actor => {
+            AmmoSystem.autoSelectAmmo(actor, ammoType || AmmoSystem.getWeaponAmmoType(actor));
+        });
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "GetAmmoCount", args => {
+        const variableId = Number(args.variableId || 0);
+        if (variableId > 0) {
+            $gameVariables.setValue(variableId, AmmoSystem.getTotalAmmoCount(String(args.ammoType || '')));
+        }
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "CheckValidAmmo", args => {
+        const actor = $gameActors.actor(Number(args.actorId || 0));
+        const switchId = Number(args.switchId || 0);
+        if (actor && switchId > 0) {
+            // A weapon without tracked ammo has nothing to fire, so it reads as OFF.
+            const hasAmmo = AmmoSystem.firesTrackedAmmo(actor) && AmmoSystem.hasValidAmmo(actor, AmmoSystem.getWeaponAmmoType(actor));
+            $gameSwitches.setValue(switchId, hasAmmo);
+        }
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "SetAmmoConsumption", args => {
+        $gameSystem.setAmmoConsumptionLocked(args.locked === 'true');
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "OpenAmmoCrafting", args => {
+        const resultItemIds = JSON.parse(args.resultItems || '[]').map(Number);
+        SceneManager.push(Scene_AmmoCraft);
+        SceneManager.prepareNextScene(resultItemIds);
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "CraftAmmo", args => {
+        const times = Math.max(1, Number(args.times || 1));
+        const recipe = AmmoSystem.getAmmoRecipes([Number(args.itemId || 0)]).find(r => AmmoSystem.canCraftRecipe(r, times));
+        const crafted = !!recipe && AmmoSystem.craftRecipe(recipe, times);
+        const switchId = Number(args.switchId || 0);
+        if (switchId > 0) {
+            $gameSwitches.setValue(switchId, crafted);
+        }
+    });
+
+    PluginManager.registerCommand(AmmoSystem.Plugin_Name, "WithdrawAmmo", args => {
+        const itemId = Number(args.itemId || 0);
+        const itemIds = itemId > 0 ? [itemId] : Object.keys($gameParty.ammoStorage()).map(Number);
+        itemIds.forEach(id => {
+            if ($dataItems[id]) $gameParty.withdrawStoredAmmo($dataItems[id]);
+        });
+    });
+
 })();